@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * Runs detectEncoding and decodeBuffer over the byte samples in fixtures/encoding
+ *
+ *   node scripts/check-encoding.js   lists failing cases, exits non-zero when there are any
+ *
+ * Each case is { name, encoding, bytes, text }: hex bytes, the code page they were written in
+ * and the text they should decode to.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { detectEncoding, decodeBuffer } from '../src/utils/encoding.js';
+
+const FIXTURES = fileURLToPath(new URL('../fixtures/encoding', import.meta.url));
+
+let total = 0;
+const failures = [];
+
+for (const file of fs.readdirSync(FIXTURES).filter(name => name.endsWith('.json')).sort()) {
+  const cases = JSON.parse(fs.readFileSync(path.join(FIXTURES, file), 'utf8'));
+
+  for (const testCase of cases) {
+    total++;
+    const buffer = Buffer.from(testCase.bytes, 'hex');
+    const detected = detectEncoding(buffer).encoding;
+    const { text } = decodeBuffer(buffer);
+    if (detected !== testCase.encoding || text !== testCase.text) {
+      failures.push({ name: testCase.name, expected: testCase, detected, text });
+    }
+  }
+}
+
+failures.forEach(failure => {
+  console.error(failure.name);
+  console.error(`  expected ${failure.expected.encoding} ${JSON.stringify(failure.expected.text)}`);
+  console.error(`  actual   ${failure.detected} ${JSON.stringify(failure.text)}`);
+});
+console.log(`Encoding detection: ${total - failures.length}/${total} cases pass`);
+
+if (failures.length > 0) process.exit(1);
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Runs TextParser over the layouts in fixtures/parser
+ *
+ *   node scripts/check-parser.js   lists failing cases, exits non-zero when there are any
+ *
+ * Each case is { name, text } plus what parsing it should give: sections (titles in order),
+ * removed (types of the stripped blocks) and scenes (how many). Only the given ones are checked.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Quiet the parser's own logging unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+const { TextParser } = await import('../src/services/TextParser.js');
+
+const FIXTURES = fileURLToPath(new URL('../fixtures/parser', import.meta.url));
+
+let total = 0;
+const failures = [];
+
+for (const file of fs.readdirSync(FIXTURES).filter(name => name.endsWith('.json')).sort()) {
+  const cases = JSON.parse(fs.readFileSync(path.join(FIXTURES, file), 'utf8'));
+
+  for (const testCase of cases) {
+    total++;
+    const result = await new TextParser().parseDocument(testCase.text);
+    const actual = {
+      sections: [...new Set(result.scenes.map(scene => scene.sectionTitle))],
+      removed: result.metadata.preprocessing.removed.map(block => block.type),
+      scenes: result.scenes.length
+    };
+
+    const wrong = Object.keys(actual)
+      .filter(key => key in testCase && JSON.stringify(actual[key]) !== JSON.stringify(testCase[key]));
+    if (wrong.length > 0) {
+      failures.push({ file, name: testCase.name, wrong, expected: testCase, actual });
+    }
+  }
+}
+
+failures.forEach(failure => {
+  console.error(`${failure.file}: ${failure.name}`);
+  failure.wrong.forEach(key => {
+    console.error(`  ${key} expected ${JSON.stringify(failure.expected[key])}`);
+    console.error(`  ${key} actual   ${JSON.stringify(failure.actual[key])}`);
+  });
+});
+console.log(`Parser layouts: ${total - failures.length}/${total} cases pass`);
+
+if (failures.length > 0) process.exit(1);
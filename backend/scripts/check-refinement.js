@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Runs DecisionPointDetector's model refinement (enhanceWithAI) offline
+ *
+ *   node scripts/check-refinement.js   lists failing checks, exits non-zero when there are any
+ *
+ * Points detected in a corpus excerpt are refined through the mock provider, which must answer
+ * every point the same way on every run, and through providers that reject or time out, which
+ * must leave the points as they were detected.
+ */
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+// Quiet the pipeline's own logging unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+const { TextParser } = await import('../src/services/TextParser.js');
+const { DecisionPointDetector } = await import('../src/services/DecisionPointDetector.js');
+const { MockModelProvider, createModelProvider } = await import('../src/services/ModelProvider.js');
+
+const EXCERPT = fileURLToPath(new URL('../fixtures/decision-points/corpus/lady-or-tiger.json', import.meta.url));
+
+const excerpt = JSON.parse(fs.readFileSync(EXCERPT, 'utf8'));
+const { chunks } = await new TextParser({ maxTokensPerChunk: 3000 }).parseDocument(excerpt.text);
+const detector = new DecisionPointDetector({ minDecisionPoints: 3, maxDecisionPoints: 12 });
+const { points: detected } = await detector.detectWithReport(chunks);
+
+// Fresh copies of the detected points for each provider
+const copy = () => structuredClone(detected);
+const refine = (modelProvider, config = {}) =>
+  new DecisionPointDetector({ ...config, modelProvider }).enhanceWithAI(copy(), detector.categories);
+const fields = point => JSON.stringify([point.category, point.type, point.confidence, point.dilemma]);
+
+const checks = [];
+const check = (name, passed, detail = '') => checks.push({ name, passed, detail });
+
+check('points were detected to refine', detected.length > 0, `${detected.length} points`);
+
+const mocked = await refine(new MockModelProvider());
+const mockedAgain = await refine(new MockModelProvider());
+check('the mock refines every point',
+  mocked.every(point => point.metadata.enhancement && point.metadata.enhancement.provider === 'mock' && !point.metadata.enhancement.error),
+  JSON.stringify(mocked.map(point => point.metadata.enhancement)));
+check('the mock states a dilemma for every point',
+  mocked.every(point => typeof point.dilemma === 'string' && point.dilemma.length > 0));
+check('the mock answers the same way on every run',
+  JSON.stringify(mocked.map(fields)) === JSON.stringify(mockedAgain.map(fields)));
+
+const failing = { name: 'failing', complete: async () => { throw new Error('service unavailable'); } };
+const rejected = await refine(failing, { maxEnhancementFailures: 100 });
+check('a rejecting provider leaves the points unchanged',
+  JSON.stringify(rejected.map(fields)) === JSON.stringify(detected.map(fields)));
+check('a rejecting provider is recorded on each point',
+  rejected.every(point => point.metadata.enhancement && point.metadata.enhancement.error === 'service unavailable'));
+
+const slow = await refine(new MockModelProvider({ latency: 200 }), { enhancementTimeout: 20, maxEnhancementFailures: 2 });
+check('a provider that times out leaves the points unchanged',
+  JSON.stringify(slow.map(fields)) === JSON.stringify(detected.map(fields)));
+check('points after too many timeouts skip the model',
+  slow.length <= 2 || slow.slice(2).every(point => point.metadata.enhancement.skipped));
+
+const previous = process.env.AI_PROVIDER;
+process.env.AI_PROVIDER = 'anthropic';
+check('anthropic without an API key falls back to no provider', createModelProvider({ apiKey: 'your_claude_api_key_here' }) === null);
+if (previous === undefined) delete process.env.AI_PROVIDER;
+else process.env.AI_PROVIDER = previous;
+
+checks.filter(entry => !entry.passed).forEach(entry => {
+  console.error(`failed: ${entry.name}${entry.detail ? ` (${entry.detail})` : ''}`);
+});
+console.log(`Model refinement: ${checks.filter(entry => entry.passed).length}/${checks.length} checks pass`);
+
+if (checks.some(entry => !entry.passed)) process.exit(1);
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * Runs SentenceSegmenter over the cases in fixtures/sentences (one file per language)
+ *
+ *   node scripts/check-sentences.js        lists failing cases, exits non-zero when there are any
+ *   node scripts/check-sentences.js fr de  only checks the given languages
+ *
+ * Each case is { name, text, sentences } where sentences is the expected split.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Quiet the segmenter's own logging unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+const { SentenceSegmenter } = await import('../src/services/SentenceSegmenter.js');
+
+const FIXTURES = fileURLToPath(new URL('../fixtures/sentences', import.meta.url));
+
+const requested = process.argv.slice(2);
+const languages = fs.readdirSync(FIXTURES)
+  .filter(file => file.endsWith('.json'))
+  .map(file => path.basename(file, '.json'))
+  .filter(code => requested.length === 0 || requested.includes(code))
+  .sort();
+
+let total = 0;
+const failures = [];
+
+for (const code of languages) {
+  const cases = JSON.parse(fs.readFileSync(path.join(FIXTURES, `${code}.json`), 'utf8'));
+  const segmenter = new SentenceSegmenter({ language: code });
+
+  for (const testCase of cases) {
+    total++;
+    const actual = segmenter.split(testCase.text);
+    if (JSON.stringify(actual) !== JSON.stringify(testCase.sentences)) {
+      failures.push({ code, name: testCase.name, expected: testCase.sentences, actual });
+    }
+  }
+}
+
+failures.forEach(failure => {
+  console.error(`${failure.code}: ${failure.name}`);
+  console.error(`  expected ${JSON.stringify(failure.expected)}`);
+  console.error(`  actual   ${JSON.stringify(failure.actual)}`);
+});
+console.log(`Sentence segmentation: ${total - failures.length}/${total} cases pass (${languages.join(', ')})`);
+
+if (failures.length > 0) process.exit(1);
@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+/**
+ * Scores the decision point detectors against the gold corpus in fixtures/decision-points
+ *
+ *   node scripts/evaluate-detector.js                    precision, recall and F1 per category, positional error
+ *   node scripts/evaluate-detector.js --check            exits non-zero when a score drops below the baseline
+ *   node scripts/evaluate-detector.js --update-baseline  records the current scores as the baseline
+ *   node scripts/evaluate-detector.js --json             prints the scores as JSON
+ *
+ * A detected point matches a gold point when it lands within --tolerance sentences of it
+ * (default 2). Overall scores count matches by position; category scores also need the
+ * categories to agree. Positional error is the mean distance, in sentences, of the matches.
+ * The baseline keeps the F1 of the categories that have gold points; the detector's own
+ * catch-all categories (General Choice Point, the structural fallbacks) have none.
+ *
+ * The corpus holds public-domain excerpts only. The synthetic set (fixtures/decision-points/synthetic)
+ * was written around the core pattern pack's phrasings, so its scores are printed separately and
+ * are neither recorded in nor checked against the baseline.
+ *
+ * The enhanced detector comes from the ai-agents package, which is not part of this
+ * repository. Without it the enhanced scores are skipped, and neither recorded nor checked;
+ * run --update-baseline where ai-agents is installed to add them to the baseline.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Quiet the pipeline's own logging unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+const { TextParser } = await import('../src/services/TextParser.js');
+const { DecisionPointDetector } = await import('../src/services/DecisionPointDetector.js');
+const { TensionAnalyzer } = await import('../src/services/TensionAnalyzer.js');
+
+const FIXTURES = fileURLToPath(new URL('../fixtures/decision-points', import.meta.url));
+const CORPUS_DIRECTORY = path.join(FIXTURES, 'corpus');
+const SYNTHETIC_DIRECTORY = path.join(FIXTURES, 'synthetic');
+const BASELINE_FILE = path.join(FIXTURES, 'baseline.json');
+const ENHANCED_DETECTOR = '../../ai-agents/story-weaver/tools/decision-point-detector/EnhancedDecisionPointDetector.js';
+
+// Same settings as the API (src/index.js) and the agent's enhanced detector
+const PARSER_CONFIG = { maxTokensPerChunk: 3000 };
+const DETECTOR_CONFIG = { minDecisionPoints: 3, maxDecisionPoints: 12 };
+const ENHANCED_CONFIG = { contextWindow: 3, minimumConfidence: 0.3, ...DETECTOR_CONFIG };
+
+// How far a score may move against the baseline before --check fails
+const SCORE_TOLERANCE = 0.005;
+const POSITION_TOLERANCE = 0.25;
+
+const args = process.argv.slice(2);
+const option = name => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+};
+const tolerance = Number(option('--tolerance') ?? 2);
+
+/**
+ * Reads the annotated excerpts of a directory and finds each gold point's offset in its text
+ */
+function loadCorpus(directory) {
+  if (!fs.existsSync(directory)) return [];
+  return fs.readdirSync(directory)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const excerpt = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      const gold = excerpt.gold.map(point => {
+        const offset = excerpt.text.indexOf(point.sentence);
+        if (offset < 0) {
+          throw new Error(`${file}: gold sentence not found in the text: "${point.sentence}"`);
+        }
+        return { ...point, offset };
+      });
+      return { ...excerpt, gold };
+    });
+}
+
+/**
+ * Lists the excerpt's sentences in order, once each (overlapping chunks repeat some)
+ */
+function sentenceSpans(chunks) {
+  const spans = new Map();
+  for (const chunk of chunks) {
+    for (const offsets of chunk.sentenceOffsets || []) {
+      if (offsets && !spans.has(offsets.start)) spans.set(offsets.start, offsets);
+    }
+  }
+  return [...spans.values()].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Index of the sentence holding an offset; offsets between sentences go to the next one
+ */
+function sentenceAt(spans, offset) {
+  const index = spans.findIndex(span => span.end > offset);
+  return index >= 0 ? index : spans.length - 1;
+}
+
+/**
+ * Where a detected point sits, from its source offset or its chunk sentence
+ */
+function pointOffset(point, chunks) {
+  if (Number.isFinite(point.startChar)) return point.startChar;
+  const chunk = chunks.find(candidate => candidate.id === point.chunkId);
+  const offsets = chunk && (chunk.sentenceOffsets || [])[point.sentenceIndex];
+  return offsets ? offsets.start : null;
+}
+
+/**
+ * Pairs gold and detected points, nearest first, within the tolerance
+ */
+function matchPoints(gold, detected) {
+  const pairs = gold
+    .flatMap(goldPoint => detected.map(point => ({
+      gold: goldPoint,
+      point,
+      distance: Math.abs(goldPoint.sentence - point.sentence)
+    })))
+    .filter(pair => pair.distance <= tolerance)
+    .sort((a, b) => a.distance - b.distance);
+
+  const matches = [];
+  const usedGold = new Set();
+  const usedPoints = new Set();
+  for (const pair of pairs) {
+    if (usedGold.has(pair.gold) || usedPoints.has(pair.point)) continue;
+    usedGold.add(pair.gold);
+    usedPoints.add(pair.point);
+    matches.push(pair);
+  }
+  return matches;
+}
+
+/**
+ * Precision, recall and F1 from counts
+ */
+function scores(truePositives, detectedCount, goldCount) {
+  const precision = detectedCount > 0 ? truePositives / detectedCount : 0;
+  const recall = goldCount > 0 ? truePositives / goldCount : 0;
+  const f1 = precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0;
+  const round = value => Math.round(value * 1000) / 1000;
+  return { precision: round(precision), recall: round(recall), f1: round(f1) };
+}
+
+/**
+ * Runs one detector over the corpus and scores it
+ * @param {Function} detect - Takes the parsed chunks, resolves to decision points
+ */
+async function evaluate(detect, corpus) {
+  const parser = new TextParser(PARSER_CONFIG);
+  const totals = { gold: 0, detected: 0, matched: 0, distance: 0 };
+  const categories = {};
+  const category = name => {
+    categories[name] = categories[name] || { gold: 0, detected: 0, matched: 0 };
+    return categories[name];
+  };
+  const excerpts = [];
+
+  for (const excerpt of corpus) {
+    const { chunks } = await parser.parseDocument(excerpt.text, { language: excerpt.language });
+    const spans = sentenceSpans(chunks);
+    const gold = excerpt.gold.map(point => ({ ...point, sentence: sentenceAt(spans, point.offset) }));
+    const detected = (await detect(chunks))
+      .map(point => ({ category: point.category, offset: pointOffset(point, chunks) }))
+      .filter(point => point.offset !== null)
+      .map(point => ({ ...point, sentence: sentenceAt(spans, point.offset) }));
+    const matches = matchPoints(gold, detected);
+
+    totals.gold += gold.length;
+    totals.detected += detected.length;
+    totals.matched += matches.length;
+    totals.distance += matches.reduce((sum, match) => sum + match.distance, 0);
+    gold.forEach(point => { category(point.category).gold++; });
+    detected.forEach(point => { category(point.category).detected++; });
+    matches
+      .filter(match => match.gold.category === match.point.category)
+      .forEach(match => { category(match.gold.category).matched++; });
+
+    excerpts.push({ id: excerpt.id, gold: gold.length, detected: detected.length, matched: matches.length });
+  }
+
+  return {
+    overall: scores(totals.matched, totals.detected, totals.gold),
+    positionalError: totals.matched > 0 ? Math.round(totals.distance / totals.matched * 100) / 100 : null,
+    counts: totals,
+    byCategory: Object.fromEntries(Object.entries(categories)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([name, counts]) => [name, { ...scores(counts.matched, counts.detected, counts.gold), ...counts }])),
+    excerpts
+  };
+}
+
+/**
+ * Loads the enhanced detector when the ai-agents package is present
+ */
+async function loadEnhancedDetector() {
+  try {
+    const { EnhancedDecisionPointDetector } = await import(ENHANCED_DETECTOR);
+    return { detector: new EnhancedDecisionPointDetector(ENHANCED_CONFIG) };
+  } catch (error) {
+    return { skipped: `enhanced detector unavailable, the ai-agents package is not installed (${error.message.split('\n')[0]})` };
+  }
+}
+
+/**
+ * Prints one detector's scores as a table
+ */
+function printReport(name, result) {
+  const percent = value => `${(value * 100).toFixed(1)}%`.padStart(7);
+  const { overall, counts } = result;
+
+  console.log(`\n${name}`);
+  console.log(`  overall    P ${percent(overall.precision)}  R ${percent(overall.recall)}  F1 ${percent(overall.f1)}` +
+    `  (${counts.matched} matched, ${counts.detected} detected, ${counts.gold} gold)`);
+  console.log(`  positional error: ${result.positionalError ?? '-'} sentences`);
+  for (const [category, score] of Object.entries(result.byCategory)) {
+    console.log(`  ${category.padEnd(32)} P ${percent(score.precision)}  R ${percent(score.recall)}  F1 ${percent(score.f1)}` +
+      `  (${score.matched}/${score.detected}/${score.gold})`);
+  }
+}
+
+/**
+ * Lists the scores that fell below the baseline
+ */
+function compareWithBaseline(name, result, baseline) {
+  const failures = [];
+  const check = (label, value, floor) => {
+    if (value < floor - SCORE_TOLERANCE) failures.push(`${name} ${label}: ${value} < baseline ${floor}`);
+  };
+
+  for (const metric of ['precision', 'recall', 'f1']) {
+    check(`overall ${metric}`, result.overall[metric], baseline.overall[metric]);
+  }
+  for (const [category, score] of Object.entries(baseline.byCategory || {})) {
+    check(`${category} F1`, (result.byCategory[category] || { f1: 0 }).f1, score.f1);
+  }
+  if (baseline.positionalError !== null && result.positionalError !== null &&
+    result.positionalError > baseline.positionalError + POSITION_TOLERANCE) {
+    failures.push(`${name} positional error: ${result.positionalError} > baseline ${baseline.positionalError}`);
+  }
+
+  return failures;
+}
+
+const corpus = loadCorpus(CORPUS_DIRECTORY);
+const syntheticSet = loadCorpus(SYNTHETIC_DIRECTORY);
+// The legacy detector gets the tension curve, as in the agent
+const legacy = new DecisionPointDetector(DETECTOR_CONFIG);
+const tensionAnalyzer = new TensionAnalyzer();
+const detectLegacy = chunks => legacy.detect(chunks, { tension: tensionAnalyzer.analyze(chunks) });
+const results = {
+  legacy: await evaluate(detectLegacy, corpus)
+};
+const synthetic = syntheticSet.length > 0 ? { legacy: await evaluate(detectLegacy, syntheticSet) } : {};
+const skipped = {};
+
+const enhanced = await loadEnhancedDetector();
+if (enhanced.detector) {
+  results.enhanced = await evaluate(chunks => enhanced.detector.detect(chunks), corpus);
+  if (syntheticSet.length > 0) {
+    synthetic.enhanced = await evaluate(chunks => enhanced.detector.detect(chunks), syntheticSet);
+  }
+} else {
+  skipped.enhanced = enhanced.skipped;
+}
+
+if (args.includes('--json')) {
+  console.log(JSON.stringify({ tolerance, results, synthetic, skipped }, null, 2));
+} else {
+  console.log(`Decision point evaluation: ${corpus.length} excerpts, match tolerance ${tolerance} sentences`);
+  Object.entries(results).forEach(([name, result]) => printReport(name, result));
+  Object.entries(skipped).forEach(([name, reason]) => console.log(`\n${name}: skipped, ${reason}`));
+  if (syntheticSet.length > 0) {
+    console.log(`\nSynthetic set: ${syntheticSet.length} excerpts, not counted in the baseline`);
+    Object.entries(synthetic).forEach(([name, result]) => printReport(`${name} (synthetic)`, result));
+  }
+}
+
+if (args.includes('--update-baseline')) {
+  // Keep the recorded scores of a detector that could not run this time
+  const previous = fs.existsSync(BASELINE_FILE) ? JSON.parse(fs.readFileSync(BASELINE_FILE, 'utf8')) : {};
+  const baseline = { ...previous, tolerance };
+  for (const [name, result] of Object.entries(results)) {
+    baseline[name] = {
+      overall: result.overall,
+      positionalError: result.positionalError,
+      byCategory: Object.fromEntries(Object.entries(result.byCategory)
+        .filter(([, score]) => score.gold > 0)
+        .map(([category, score]) => [category, { f1: score.f1 }]))
+    };
+  }
+  fs.writeFileSync(BASELINE_FILE, `${JSON.stringify(baseline, null, 2)}\n`);
+  console.log(`\nBaseline written to ${path.relative(process.cwd(), BASELINE_FILE)}`);
+}
+
+if (args.includes('--check')) {
+  if (!fs.existsSync(BASELINE_FILE)) {
+    console.error('\nNo baseline recorded; run with --update-baseline first');
+    process.exit(1);
+  }
+  const baseline = JSON.parse(fs.readFileSync(BASELINE_FILE, 'utf8'));
+  if (baseline.tolerance !== undefined && baseline.tolerance !== tolerance) {
+    console.error(`\nThe baseline was recorded with tolerance ${baseline.tolerance}, not ${tolerance}`);
+    process.exit(1);
+  }
+
+  const failures = Object.entries(results)
+    .filter(([name]) => baseline[name])
+    .flatMap(([name, result]) => compareWithBaseline(name, result, baseline[name]));
+
+  if (failures.length > 0) {
+    console.error('\nScores dropped below the baseline:');
+    failures.forEach(failure => console.error(`  ${failure}`));
+    process.exit(1);
+  }
+  console.log('\nNo score dropped below the baseline');
+}
@@ -4,13 +4,19 @@ import { EnhancedDecisionPointDetector } from '../../ai-agents/story-weaver/tool
 import { EnhancedChoiceGenerator } from '../../ai-agents/story-weaver/tools/choice-generator/EnhancedChoiceGenerator.js';
 import { EnhancedConsequenceMapper } from '../../ai-agents/story-weaver/tools/consequence-mapper/EnhancedConsequenceMapper.js';import { v4 as uuidv4 } from 'uuid';
 import { TextParser } from '../services/TextParser.js';
+import { CharacterExtractor } from '../services/CharacterExtractor.js';
+import { SettingExtractor } from '../services/SettingExtractor.js';
+import { TimelineBuilder } from '../services/TimelineBuilder.js';
+import { TensionAnalyzer } from '../services/TensionAnalyzer.js';
 import { DecisionPointDetector } from '../services/DecisionPointDetector.js';
 import { SceneSummarizer } from '../services/SceneSummarizer.js';
 import { ChoiceGenerator } from '../services/ChoiceGenerator.js';
 import { ConsequenceMapper } from '../services/ConsequenceMapper.js';
 import { PathConvergence } from '../services/PathConvergence.js';
 import { PersonaManager } from '../services/PersonaManager.js';
+import { createModelProvider } from '../services/ModelProvider.js';
 import logger from '../utils/logger.js';
+import { resolvePatternPacks } from '../utils/patternPacks.js';
 
 /**
  * Story Weaver Agent - Core AI agent for transforming books into interactive narratives
@@ -64,7 +70,14 @@ export class StoryWeaverAgent extends EventEmitter {
     
     // Initialize legacy services (kept for compatibility)
     this.textParser = new TextParser(this.config);
-    this.decisionPointDetector = new DecisionPointDetector(this.config);
+    this.characterExtractor = new CharacterExtractor(this.config);
+    this.settingExtractor = new SettingExtractor(this.config);
+    this.timelineBuilder = new TimelineBuilder(this.config);
+    this.tensionAnalyzer = new TensionAnalyzer(this.config);
+    // Model provider for the services' model calls; AI_PROVIDER picks it, and without it points aren't refined.
+    // It stands in for aiClient, whose interface lives in ai-agents (see ModelProvider.js)
+    this.modelProvider = config.modelProvider !== undefined ? config.modelProvider : createModelProvider();
+    this.decisionPointDetector = new DecisionPointDetector({ ...this.config, modelProvider: this.modelProvider });
     this.sceneSummarizer = new SceneSummarizer(this.config);
     this.choiceGenerator = new ChoiceGenerator(this.config);
     this.consequenceMapper = new ConsequenceMapper(this.config);
@@ -337,12 +350,34 @@ export class StoryWeaverAgent extends EventEmitter {
         targetAge,
         content: bookContent
       });
-      const parsedChunks = await this.textParser.parse(bookContent, personaInstructions);
-      this.emit('step:complete', { step: 2, result: { chunkCount: parsedChunks.length } });
+      const { chunks: parsedChunks, scenes: parsedScenes, metadata: parseMetadata } = await this.textParser.parseDocument(bookContent, {
+        instructions: personaInstructions,
+        chapters: input.chapters,
+        language: input.language
+      });
+      
+      // Cast of characters, so summaries and choices can name who is involved
+      const roster = this.characterExtractor.extract(parsedChunks, parsedScenes);
+      parsedChunks.forEach(chunk => {
+        chunk.characters = this.characterExtractor.charactersInChunk(chunk, roster.characters);
+      });
+      
+      // Places, and the setting of every chunk
+      const { locations } = this.settingExtractor.extract(parsedChunks, roster.characters);
+      
+      this.emit('step:complete', { step: 2, result: {
+        chunkCount: parsedChunks.length,
+        removedBlocks: parseMetadata.preprocessing.removed.length,
+        language: parseMetadata.language.code,
+        characterCount: roster.characters.length,
+        locationCount: locations.length
+      }});
       
       // Step 3: Enhanced Decision Point Identification
       this.emit('step:start', { step: 3, name: 'Advanced Decision Point Detection' });
-      let decisionPoints;
+      let detection;
+      // How tense each chunk reads; its peaks favour the decision points near them
+      const tension = this.tensionAnalyzer.analyze(parsedChunks);
       
       if (this.config.useEnhancedTools) {
         const decisionInstructions = this.storyWeaverPersona.generateProcessingInstructions('decision_point_detection', {
@@ -350,14 +385,52 @@ export class StoryWeaverAgent extends EventEmitter {
           genre: input.genre,
           personaMode: persona
         });
-        decisionPoints = await this.enhancedDecisionPointDetector.detect(parsedChunks, decisionInstructions);
+        const candidates = await this.enhancedDecisionPointDetector.detect(parsedChunks, decisionInstructions);
+        // The selected pattern packs, editor overrides and tension peaks apply to the enhanced candidates too
+        detection = await this.decisionPointDetector.reviewCandidates(parsedChunks, candidates, {
+          patternPacks: input.patternPacks,
+          genre: input.genre,
+          overrides: input.decisionOverrides,
+          tension
+        });
       } else {
         // Legacy processing
-        decisionPoints = await this.decisionPointDetector.detect(parsedChunks);
+        detection = await this.decisionPointDetector.detectWithReport(parsedChunks, {
+          patternPacks: input.patternPacks,
+          genre: input.genre,
+          protagonist: roster.characters.find(character => character.role === 'protagonist'),
+          overrides: input.decisionOverrides,
+          tension
+        });
       }
+      const decisionPoints = detection.points;
+      
+      // Why each point was kept and what it beat, for tuning patterns
+      const decisionReport = {
+        points: decisionPoints.map(point => ({
+          id: point.id,
+          category: point.category,
+          sentence: point.sentence,
+          chunkId: point.chunkId,
+          startChar: point.startChar,
+          confidence: point.confidence,
+          dilemma: point.dilemma,
+          explanation: point.explanation
+        })),
+        rejected: detection.rejected,
+        distribution: detection.distribution,
+        overrides: detection.overrides
+      };
+      
+      // Key plot events, linked to the decision points that fall on them
+      const timeline = this.timelineBuilder.build(parsedChunks, roster.characters, decisionPoints);
+      this.tensionAnalyzer.linkDecisionPoints(tension, decisionPoints);
       
       this.emit('step:complete', { step: 3, result: { 
         decisionPointCount: decisionPoints.length,
+        pinnedDecisionPointCount: decisionPoints.filter(point => point.metadata && point.metadata.pinned).length,
+        timelineEventCount: timeline.length,
+        tensionPeakCount: tension.peaks.length,
         enhancedDetection: this.config.useEnhancedTools
       }});
       
@@ -495,6 +568,10 @@ export class StoryWeaverAgent extends EventEmitter {
           author,
           targetAge,
           persona,
+          language: parseMetadata.language,
+          decisionOverrides: input.decisionOverrides || null,
+          patternPacks: resolvePatternPacks({ ids: input.patternPacks, genre: input.genre })
+            .map(pack => ({ id: pack.id, version: pack.version })),
           processedAt: new Date().toISOString(),
           processingTime: Date.now() - this.currentProject.startTime,
           personaVersion: this.storyWeaverPersona.getStatus().version,
@@ -503,13 +580,23 @@ export class StoryWeaverAgent extends EventEmitter {
           stats: {
             wordCount: bookContent.split(' ').length,
             chunkCount: parsedChunks.length,
+            characterCount: roster.characters.length,
+            locationCount: locations.length,
+            parsing: parseMetadata,
             decisionPointCount: decisionPoints.length,
+            timelineEventCount: timeline.length,
             totalChoices: Array.isArray(choices) ? choices.length : choices.reduce((sum, dp) => sum + dp.choices.length, 0),
             qualityMetrics: qualityAssessment.detailed_scores,
             toolStatistics
           }
         },
         structure: storyStructure,
+        characters: roster.characters,
+        protagonist: roster.protagonist,
+        locations,
+        timeline,
+        tension,
+        decisionReport,
         personaEnhancements: {
           modeConfiguration: this.storyWeaverPersona.getCurrentModeConfiguration(),
           qualityAssessment,
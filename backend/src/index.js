@@ -2,7 +2,10 @@ import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
 import { StoryWeaverAgent } from './agents/StoryWeaverAgent.js';
+import { BookImporter } from './services/BookImporter.js';
 import logger from './utils/logger.js';
+import { getLanguageCodes } from './utils/language.js';
+import { listPatternPacks, resolvePatternPacks } from './utils/patternPacks.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -28,6 +31,9 @@ const upload = multer({
   }
 });
 
+// Converts uploaded files (plain text, EPUB, PDF, DOCX, RTF) into book text
+const bookImporter = new BookImporter();
+
 // Initialize Story Weaver Agent
 const storyWeaver = new StoryWeaverAgent({
   model: 'claude-3-5-sonnet',
@@ -39,6 +45,113 @@ const storyWeaver = new StoryWeaverAgent({
 // Store active processes (in production, use Redis or database)
 const activeProcesses = new Map();
 
+/**
+ * Checks editor decision point overrides: { pinned, suppressed }, each a list of
+ * { offset } or { sentence } entries (pinned entries may add category, type and note)
+ * @returns {string|null} What is wrong, or null when the overrides are usable
+ */
+function validateDecisionOverrides(overrides) {
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return 'Invalid decisionOverrides. Must be an object with pinned and suppressed lists';
+  }
+  
+  for (const kind of ['pinned', 'suppressed']) {
+    const entries = overrides[kind];
+    if (entries === undefined) continue;
+    if (!Array.isArray(entries)) {
+      return `Invalid decisionOverrides.${kind}. Must be an array`;
+    }
+    const invalid = entries.findIndex(entry => !entry || typeof entry !== 'object' ||
+      !(Number.isInteger(entry.offset) && entry.offset >= 0) && !(typeof entry.sentence === 'string' && entry.sentence.trim()));
+    if (invalid >= 0) {
+      return `Invalid decisionOverrides.${kind}[${invalid}]. Each entry needs an offset (character position) or a sentence`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Checks chapter boundaries: a list of { title, startChar, endChar } ranges inside the book
+ * @returns {string|null} What is wrong, or null when the chapters are usable
+ */
+function validateChapters(chapters, bookContent) {
+  if (!Array.isArray(chapters)) {
+    return 'Invalid chapters. Must be an array of { title, startChar, endChar }';
+  }
+  
+  const invalid = chapters.findIndex(chapter => !chapter || typeof chapter !== 'object' ||
+    !Number.isInteger(chapter.startChar) || !Number.isInteger(chapter.endChar) ||
+    chapter.startChar < 0 || chapter.startChar >= chapter.endChar || chapter.endChar > bookContent.length);
+  if (invalid >= 0) {
+    return `Invalid chapters[${invalid}]. startChar and endChar must be integers with 0 <= startChar < endChar <= ${bookContent.length}`;
+  }
+  
+  return null;
+}
+
+/**
+ * Starts processing a book in the background
+ * The request is kept with the process so the job can be re-run with the same settings
+ * @param {Object} request - Input for storyWeaver.process
+ * @returns {string} Process id
+ */
+function startProcess(request) {
+  const processId = `process_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  activeProcesses.set(processId, { status: 'starting', progress: 0, request });
+  
+  // Set up event listeners for progress updates
+  storyWeaver.on('step:start', (data) => {
+    const process = activeProcesses.get(processId);
+    if (process) {
+      process.status = 'processing';
+      process.currentStep = data.step;
+      process.stepName = data.name;
+      process.progress = (data.step / 7) * 100;
+    }
+  });
+  
+  storyWeaver.on('step:complete', (data) => {
+    const process = activeProcesses.get(processId);
+    if (process) {
+      process.progress = (data.step / 7) * 100;
+      if (data.result) {
+        process.stepResult = data.result;
+      }
+    }
+  });
+  
+  // Start processing (don't await here, the caller responds immediately)
+  storyWeaver.process(request).then(result => {
+    activeProcesses.set(processId, {
+      status: 'completed',
+      progress: 100,
+      result,
+      request
+    });
+    
+    // Clean up after 1 hour
+    setTimeout(() => {
+      activeProcesses.delete(processId);
+    }, 60 * 60 * 1000);
+    
+  }).catch(error => {
+    logger.error('Story Weaver process failed', {
+      processId,
+      error: error.message
+    });
+    
+    activeProcesses.set(processId, {
+      status: 'failed',
+      progress: 0,
+      error: error.message,
+      request
+    });
+  });
+  
+  return processId;
+}
+
 // Routes
 
 /**
@@ -68,7 +181,7 @@ app.get('/api/weaver/status', (req, res) => {
  */
 app.post('/api/weaver/process', async (req, res) => {
   try {
-    const { bookContent, title, author, targetAge, persona = 'adventurous' } = req.body;
+    const { bookContent, title, author, targetAge, persona = 'adventurous', chapters, language = 'auto', genre, patternPacks, decisionOverrides } = req.body;
     
     // Validation
     if (!bookContent || !title || !targetAge) {
@@ -77,74 +190,65 @@ app.post('/api/weaver/process', async (req, res) => {
       });
     }
     
+    if (chapters !== undefined && chapters !== null) {
+      const chaptersError = validateChapters(chapters, bookContent);
+      if (chaptersError) {
+        return res.status(400).json({ error: chaptersError });
+      }
+    }
+    
     if (!['6-8', '8-10', '10-12', '12-14'].includes(targetAge)) {
       return res.status(400).json({
         error: 'Invalid targetAge. Must be one of: 6-8, 8-10, 10-12, 12-14'
       });
     }
     
-    logger.info('Starting Story Weaver process', {
-      title,
-      wordCount: bookContent.split(' ').length,
-      targetAge,
-      persona
-    });
-    
-    // Set up progress tracking
-    const processId = `process_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    activeProcesses.set(processId, { status: 'starting', progress: 0 });
+    if (language !== 'auto' && !getLanguageCodes().includes(language)) {
+      return res.status(400).json({
+        error: `Invalid language. Must be "auto" or one of: ${getLanguageCodes().join(', ')}`
+      });
+    }
     
-    // Set up event listeners for progress updates
-    storyWeaver.on('step:start', (data) => {
-      const process = activeProcesses.get(processId);
-      if (process) {
-        process.status = 'processing';
-        process.currentStep = data.step;
-        process.stepName = data.name;
-        process.progress = (data.step / 7) * 100;
+    if (patternPacks !== undefined && patternPacks !== null) {
+      if (!Array.isArray(patternPacks)) {
+        return res.status(400).json({
+          error: 'Invalid patternPacks. Must be an array of pattern pack ids'
+        });
       }
-    });
+      try {
+        resolvePatternPacks({ ids: patternPacks });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
     
-    storyWeaver.on('step:complete', (data) => {
-      const process = activeProcesses.get(processId);
-      if (process) {
-        process.progress = (data.step / 7) * 100;
-        if (data.result) {
-          process.stepResult = data.result;
-        }
+    if (decisionOverrides !== undefined && decisionOverrides !== null) {
+      const overridesError = validateDecisionOverrides(decisionOverrides);
+      if (overridesError) {
+        return res.status(400).json({ error: overridesError });
       }
+    }
+    
+    logger.info('Starting Story Weaver process', {
+      title,
+      wordCount: bookContent.split(' ').length,
+      targetAge,
+      persona,
+      language
     });
     
-    // Start processing (don't await here, send immediate response)
-    storyWeaver.process({
+    // Set up progress tracking and start processing
+    const processId = startProcess({
       bookContent,
       title,
       author,
       targetAge,
-      persona
-    }).then(result => {
-      activeProcesses.set(processId, {
-        status: 'completed',
-        progress: 100,
-        result
-      });
-      
-      // Clean up after 1 hour
-      setTimeout(() => {
-        activeProcesses.delete(processId);
-      }, 60 * 60 * 1000);
-      
-    }).catch(error => {
-      logger.error('Story Weaver process failed', {
-        processId,
-        error: error.message
-      });
-      
-      activeProcesses.set(processId, {
-        status: 'failed',
-        progress: 0,
-        error: error.message
-      });
+      persona,
+      chapters,
+      language,
+      genre,
+      patternPacks,
+      decisionOverrides
     });
     
     // Return process ID for tracking
@@ -181,9 +285,84 @@ app.get('/api/weaver/process/:processId', (req, res) => {
     });
   }
   
+  // The request holds the whole book; it stays on the server
+  const { request, ...status } = process;
   res.json({
     processId,
-    ...process
+    ...status
+  });
+});
+
+/**
+ * Re-runs a process with the same input
+ * Editor decision point overrides carry over unless the body gives new ones
+ */
+app.post('/api/weaver/process/:processId/rerun', (req, res) => {
+  const { processId } = req.params;
+  const process = activeProcesses.get(processId);
+  
+  if (!process) {
+    return res.status(404).json({
+      error: 'Process not found',
+      processId
+    });
+  }
+  
+  if (process.status === 'starting' || process.status === 'processing') {
+    return res.status(409).json({
+      error: 'Process is still running',
+      processId,
+      status: process.status
+    });
+  }
+  
+  const decisionOverrides = req.body.decisionOverrides !== undefined
+    ? req.body.decisionOverrides
+    : process.request.decisionOverrides;
+  
+  if (decisionOverrides !== undefined && decisionOverrides !== null) {
+    const overridesError = validateDecisionOverrides(decisionOverrides);
+    if (overridesError) {
+      return res.status(400).json({ error: overridesError });
+    }
+  }
+  
+  const rerunId = startProcess({ ...process.request, decisionOverrides });
+  logger.info('Re-running Story Weaver process', { processId, rerunId });
+  
+  res.json({
+    processId: rerunId,
+    rerunOf: processId,
+    status: 'started',
+    message: 'Story processing has begun again. Use the processId to check progress.'
+  });
+});
+
+/**
+ * Decision point report: why each point was chosen and the candidates it beat
+ */
+app.get('/api/weaver/process/:processId/decision-points', (req, res) => {
+  const { processId } = req.params;
+  const process = activeProcesses.get(processId);
+  
+  if (!process) {
+    return res.status(404).json({
+      error: 'Process not found',
+      processId
+    });
+  }
+  
+  if (process.status !== 'completed') {
+    return res.status(409).json({
+      error: 'Process has not completed',
+      processId,
+      status: process.status
+    });
+  }
+  
+  res.json({
+    processId,
+    ...process.result.decisionReport
   });
 });
 
@@ -226,10 +405,32 @@ app.post('/api/weaver/upload', upload.single('file'), async (req, res) => {
       });
     }
     
-    const { title, author, targetAge, persona = 'adventurous' } = req.body;
+    const { title, author, targetAge, persona = 'adventurous', genre } = req.body;
+    
+    // Extract text and chapter structure from the uploaded file
+    const { text: bookContent, chapters, format, metadata } = await bookImporter.import(req.file);
+    
+    // A language declared by the file ("en-US") is used when there is a pack for it
+    const declaredLanguage = metadata.language ? metadata.language.split('-')[0].toLowerCase() : null;
+    const language = req.body.language ||
+      (getLanguageCodes().includes(declaredLanguage) ? declaredLanguage : 'auto');
     
-    // Read file content
-    const bookContent = req.file.buffer.toString('utf-8');
+    // Form fields arrive as text: "mystery,fairy-tale"
+    const patternPacks = req.body.patternPacks
+      ? String(req.body.patternPacks).split(',').map(id => id.trim()).filter(Boolean)
+      : undefined;
+    
+    // Overrides arrive as a JSON form field; /process checks their shape
+    let decisionOverrides;
+    if (req.body.decisionOverrides) {
+      try {
+        decisionOverrides = JSON.parse(req.body.decisionOverrides);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid decisionOverrides. Must be JSON'
+        });
+      }
+    }
     
     // Validate file size and content
     if (bookContent.length < 100) {
@@ -253,15 +454,24 @@ app.post('/api/weaver/upload', upload.single('file'), async (req, res) => {
       },
       body: JSON.stringify({
         bookContent,
-        title: title || req.file.originalname.replace(/\.[^/.]+$/, ""),
-        author,
+        title: title || metadata.title || req.file.originalname.replace(/\.[^/.]+$/, ""),
+        author: author || metadata.author,
         targetAge,
-        persona
+        persona,
+        chapters,
+        language,
+        genre,
+        patternPacks,
+        decisionOverrides
       })
     });
     
     const result = await response.json();
-    res.json(result);
+    res.status(response.status).json({
+      ...result,
+      format,
+      chapterCount: chapters ? chapters.length : 0
+    });
     
   } catch (error) {
     logger.error('File upload failed', {
@@ -294,6 +504,22 @@ app.get('/api/weaver/personas', async (req, res) => {
   }
 });
 
+/**
+ * Get available decision point pattern packs
+ */
+app.get('/api/weaver/pattern-packs', (req, res) => {
+  try {
+    res.json({
+      patternPacks: listPatternPacks()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to load pattern packs',
+      details: error.message
+    });
+  }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   logger.error('Unhandled error', {
@@ -0,0 +1,97 @@
+import path from 'path';
+import { EpubExtractor } from './EpubExtractor.js';
+import { PdfExtractor } from './PdfExtractor.js';
+import { DocxExtractor } from './DocxExtractor.js';
+import { RtfExtractor } from './RtfExtractor.js';
+import { decodeBuffer } from '../utils/encoding.js';
+import logger from '../utils/logger.js';
+
+/**
+ * BookImporter - Turns uploaded book files into plain text for the Story Weaver pipeline
+ * Dispatches to a format-specific extractor and returns the text with its chapter structure.
+ * The text is passed on as extracted: TextParser normalizes it and maps every offset it reports
+ * back to this text, so offsets and chapter boundaries match what the user uploaded.
+ */
+export class BookImporter {
+  constructor(config = {}) {
+    this.config = config;
+    this.extractors = {
+      epub: new EpubExtractor(config),
+      pdf: new PdfExtractor(config),
+      docx: new DocxExtractor(config),
+      rtf: new RtfExtractor(config)
+    };
+  }
+
+  /**
+   * Imports an uploaded file
+   * @param {Object} file - Uploaded file ({ buffer, originalname, mimetype })
+   * @returns {Promise<Object>} { text, chapters, format, metadata }
+   */
+  async import(file) {
+    const format = this.detectFormat(file);
+
+    logger.debug('Importing uploaded book', {
+      filename: file.originalname,
+      format,
+      size: file.buffer.length
+    });
+
+    try {
+      const extractor = this.extractors[format];
+      if (extractor) {
+        const extracted = await extractor.extract(file.buffer);
+        return { text: extracted.text, chapters: extracted.chapters, format, metadata: extracted.metadata };
+      }
+
+      const { text, encoding, confidence, repairedMojibake } = decodeBuffer(file.buffer);
+
+      logger.debug('Decoded plain text upload', { encoding, confidence, repairedMojibake });
+
+      return {
+        text,
+        chapters: null,
+        format,
+        metadata: { encoding, encodingConfidence: confidence, repairedMojibake }
+      };
+    } catch (error) {
+      logger.error('Book import failed', {
+        filename: file.originalname,
+        format,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Determines the file format from its extension, MIME type and magic bytes
+   * @private
+   */
+  detectFormat(file) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const isZip = file.buffer.length > 4 && file.buffer.readUInt32BE(0) === 0x504b0304;
+
+    if (extension === '.epub' || file.mimetype === 'application/epub+zip' ||
+        (isZip && file.buffer.subarray(0, 100).includes('application/epub+zip'))) {
+      return 'epub';
+    }
+
+    if (extension === '.pdf' || file.mimetype === 'application/pdf' ||
+        file.buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+      return 'pdf';
+    }
+
+    if (extension === '.docx' ||
+        file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+      return 'docx';
+    }
+
+    if (extension === '.rtf' || file.mimetype === 'application/rtf' || file.mimetype === 'text/rtf' ||
+        file.buffer.subarray(0, 5).toString('latin1') === '{\\rtf') {
+      return 'rtf';
+    }
+
+    return 'text';
+  }
+}
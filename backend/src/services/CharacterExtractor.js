@@ -0,0 +1,251 @@
+import logger from '../utils/logger.js';
+
+// Titles that may precede a name ("Mr. Potter", "Aunt Petunia")
+const TITLES = ['Mr', 'Mrs', 'Ms', 'Miss', 'Dr', 'Professor', 'Sir', 'Lady', 'Lord', 'Aunt', 'Uncle', 'Captain', 'Master', 'Madam'];
+
+// Capitalized words that are not names even when they appear mid-sentence
+const NON_NAMES = new Set([
+  'I', 'God', 'Chapter', 'Part', 'Book', 'English', 'French', 'German', 'Christmas', 'Easter',
+  'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday',
+  'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+  'September', 'October', 'November', 'December', 'OK', 'Oh', 'Yes', 'No',
+  // Words that are capitalized only because they start a sentence
+  'The', 'A', 'An', 'Then', 'When', 'But', 'And', 'So', 'As', 'If', 'In', 'At', 'On', 'Later',
+  'After', 'Before', 'While', 'Every', 'He', 'She', 'They', 'We', 'You', 'It', 'His', 'Her',
+  'My', 'Our', 'Their', 'This', 'That', 'There', 'Here', 'What', 'Why', 'How', 'Who', 'Where',
+  'Now', 'Still', 'Yet', 'Just', 'Even', 'Once', 'Soon', 'All', 'Not', 'One', 'Some'
+]);
+
+// Words before a capitalized word that mark it as a place rather than a person
+const PLACE_PREPOSITIONS = /\b(?:in|at|to|from|into|near|toward|towards|through|across|of)\s+(?:the\s+)?$/i;
+
+// Titles written with a period
+const ABBREVIATED_TITLES = new Set(['Mr', 'Mrs', 'Ms', 'Dr']);
+
+// A title at the start of a roster name
+const TITLE_PREFIX = new RegExp(`^(?:${TITLES.join('|')})\\.?\\s+`);
+
+// Capitalized word runs, optionally led by a title
+const NAME_PATTERN = new RegExp(`\\b(?:(${TITLES.join('|')})\\.?\\s+)?([A-Z][a-z'-]+(?:\\s+[A-Z][a-z'-]+){0,2})\\b`, 'g');
+
+/**
+ * CharacterExtractor - Builds the cast of a book from parsed chunks
+ * Finds names, merges aliases ("Harry", "Harry Potter", "Mr. Potter"), counts mentions
+ * per chunk and picks the protagonist from mention frequency and point of view
+ */
+export class CharacterExtractor {
+  constructor(config = {}) {
+    this.config = {
+      minMentions: config.minMentions || 2,
+      maxCharacters: config.maxCharacters || 20,
+      povWeight: config.povWeight || 5, // mentions a point-of-view scene is worth
+      speakerWeight: config.speakerWeight || 1, // mentions an attributed line of dialog is worth
+      ...config
+    };
+  }
+
+  /**
+   * Extracts the character roster
+   * @param {Array} chunks - Parsed chunks (with dialogue and povCharacter metadata)
+   * @param {Array} scenes - Parsed scenes (with povCharacter)
+   * @returns {Object} { characters, protagonist }
+   */
+  extract(chunks, scenes = []) {
+    logger.debug('Starting character extraction', { chunkCount: chunks.length });
+
+    try {
+      const mentions = this.collectMentions(chunks);
+      const groups = this.mergeAliases(mentions);
+
+      const characters = groups
+        .map(group => this.buildCharacter(group, chunks, scenes))
+        .filter(character => character.mentionCount >= this.config.minMentions)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, this.config.maxCharacters);
+
+      characters.forEach((character, index) => {
+        character.id = `character_${index}`;
+        character.role = index === 0 ? 'protagonist'
+          : character.mentionCount >= characters[0].mentionCount * 0.25 ? 'supporting' : 'minor';
+      });
+
+      const protagonist = characters[0] ? characters[0].name : null;
+
+      logger.info('Character extraction completed', {
+        characterCount: characters.length,
+        protagonist
+      });
+
+      return { characters, protagonist };
+
+    } catch (error) {
+      logger.error('Character extraction failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Lists the characters mentioned in a chunk, by roster name
+   * @param {Object} chunk - Parsed chunk
+   * @param {Array} characters - Roster from extract()
+   * @returns {Array<string>} Names, most mentioned first
+   */
+  charactersInChunk(chunk, characters) {
+    return characters
+      .filter(character => character.mentionsByChunk[chunk.id])
+      .sort((a, b) => b.mentionsByChunk[chunk.id] - a.mentionsByChunk[chunk.id])
+      .map(character => character.name);
+  }
+
+  /**
+   * Counts name mentions per chunk
+   * @returns {Map} name -> { chunks: Map(chunkId -> count), midSentence, afterPlacePreposition, speaker, total }
+   * @private
+   */
+  collectMentions(chunks) {
+    const mentions = new Map();
+    const record = (name, chunkId, flags) => {
+      let entry = mentions.get(name);
+      if (!entry) {
+        entry = { name, chunks: new Map(), titled: flags.titled, midSentence: 0, afterPlacePreposition: 0, speaker: 0, total: 0 };
+        mentions.set(name, entry);
+      }
+      entry.chunks.set(chunkId, (entry.chunks.get(chunkId) || 0) + 1);
+      entry.total++;
+      if (flags.midSentence) entry.midSentence++;
+      if (flags.afterPlacePreposition) entry.afterPlacePreposition++;
+    };
+
+    for (const chunk of chunks) {
+      for (const match of chunk.content.matchAll(NAME_PATTERN)) {
+        const title = match[1];
+        const runWords = match[2].split(/\s+/);
+        const firstName = runWords.findIndex(word => !NON_NAMES.has(word));
+        if (firstName < 0) continue;
+        const words = runWords.slice(firstName).filter(word => !NON_NAMES.has(word));
+
+        // Words dropped from the front ("In London", "Then Vernon") are part of the context
+        const before = chunk.content.slice(Math.max(0, match.index - 20), match.index) +
+          (firstName > 0 ? `${runWords.slice(0, firstName).join(' ')} ` : '');
+        const sentenceStart = !title && firstName === 0 &&
+          /(^|[.!?]["')\]]?\s+|\n\s*|["'(\[])$/.test(before);
+        const name = title
+          ? `${title}${ABBREVIATED_TITLES.has(title) ? '.' : ''} ${words[words.length - 1]}`
+          : words.join(' ');
+
+        record(name, chunk.id, {
+          titled: Boolean(title),
+          midSentence: !sentenceStart,
+          afterPlacePreposition: PLACE_PREPOSITIONS.test(before)
+        });
+      }
+
+      for (const line of chunk.dialogue || []) {
+        if (!line.speaker) continue;
+        const entry = mentions.get(line.speaker);
+        if (entry) entry.speaker++;
+      }
+    }
+
+    // Keep names that behave like names: seen mid-sentence, after a title or as a speaker,
+    // or sharing a word with such a name ("Harry Potter" only ever starting sentences)
+    const nameWords = new Set();
+    const addWords = entry => entry.name.replace(TITLE_PREFIX, '').split(' ').forEach(word => nameWords.add(word));
+    for (const entry of mentions.values()) {
+      if (entry.midSentence > 0 || entry.speaker > 0 || entry.titled) addWords(entry);
+    }
+    for (const entry of mentions.values()) {
+      if (entry.name.includes(' ') && entry.name.split(' ').some(word => nameWords.has(word))) addWords(entry);
+    }
+
+    for (const [name, entry] of mentions) {
+      const looksLikeName = name.replace(TITLE_PREFIX, '').split(' ').some(word => nameWords.has(word));
+      const looksLikePlace = entry.afterPlacePreposition > entry.total / 2;
+      if (!looksLikeName || looksLikePlace) mentions.delete(name);
+    }
+
+    return mentions;
+  }
+
+  /**
+   * Groups names that refer to the same person
+   * Short forms join the longest full name that contains them: "Harry" and "Potter" join
+   * "Harry Potter", "Mr. Potter" joins it by surname
+   * @returns {Array<Array>} Groups of mention entries
+   * @private
+   */
+  mergeAliases(mentions) {
+    const bareWords = name => name.replace(TITLE_PREFIX, '').split(' ');
+    const entries = [...mentions.values()].sort((a, b) =>
+      bareWords(b.name).length - bareWords(a.name).length || b.total - a.total
+    );
+    const groups = [];
+
+    for (const entry of entries) {
+      const words = bareWords(entry.name);
+      const isTitled = words.length < entry.name.split(' ').length;
+
+      const candidates = groups.filter(group => {
+        const fullWords = bareWords(group[0].name);
+        if (fullWords.join(' ') === words.join(' ')) return true; // "Potter" and "Mr. Potter"
+        if (fullWords.length <= words.length) return false;
+        return isTitled
+          ? fullWords[fullWords.length - 1] === words[words.length - 1]
+          : words.every(word => fullWords.includes(word));
+      });
+
+      if (candidates.length > 0) {
+        // Ambiguous short forms go to the most mentioned person
+        const best = candidates.sort((a, b) => this.groupTotal(b) - this.groupTotal(a))[0];
+        best.push(entry);
+      } else {
+        groups.push([entry]);
+      }
+    }
+
+    return groups;
+  }
+
+  /**
+   * Total mentions of an alias group
+   * @private
+   */
+  groupTotal(group) {
+    return group.reduce((sum, entry) => sum + entry.total, 0);
+  }
+
+  /**
+   * Turns an alias group into a roster entry
+   * @private
+   */
+  buildCharacter(group, chunks, scenes) {
+    const aliases = [...group].sort((a, b) => b.total - a.total).map(entry => entry.name);
+    const names = new Set(aliases);
+
+    const mentionsByChunk = {};
+    for (const entry of group) {
+      for (const [chunkId, count] of entry.chunks) {
+        mentionsByChunk[chunkId] = (mentionsByChunk[chunkId] || 0) + count;
+      }
+    }
+
+    const mentionCount = this.groupTotal(group);
+    const dialogueLines = group.reduce((sum, entry) => sum + entry.speaker, 0);
+    const povSceneCount = scenes.filter(scene => scene.povCharacter && names.has(scene.povCharacter)).length;
+    const chunkIndexes = chunks.filter(chunk => mentionsByChunk[chunk.id]).map(chunk => chunk.index);
+
+    return {
+      // The most used form is how the book refers to the character
+      name: aliases[0],
+      fullName: group[0].name,
+      aliases,
+      mentionCount,
+      mentionsByChunk,
+      dialogueLines,
+      povSceneCount,
+      firstChunkIndex: chunkIndexes.length > 0 ? Math.min(...chunkIndexes) : null,
+      lastChunkIndex: chunkIndexes.length > 0 ? Math.max(...chunkIndexes) : null,
+      score: mentionCount + povSceneCount * this.config.povWeight + dialogueLines * this.config.speakerWeight
+    };
+  }
+}
@@ -50,6 +50,10 @@ export class ChoiceGenerator {
           metadata: {
             category: decisionPoint.category,
             confidence: decisionPoint.confidence,
+            confidenceLabel: decisionPoint.confidenceLabel,
+            speaker: decisionPoint.speaker || null,
+            pinned: Boolean(decisionPoint.metadata && decisionPoint.metadata.pinned),
+            editorNote: decisionPoint.note || null,
             persona: persona.name
           }
         });
@@ -150,7 +154,7 @@ export class ChoiceGenerator {
     } else if (persona.key === 'adventurous') {
       text = this.makeAdventurous(text);
     } else if (persona.key === 'classic') {
-      text = this.makeClassic(text);
+      text = this.makeClassic(text, scene);
     }
     
     // Simplify for younger audiences
@@ -202,9 +206,10 @@ export class ChoiceGenerator {
    * Makes text more classic/formal
    * @private
    */
-  makeClassic(text) {
+  makeClassic(text, scene) {
     if (!text.includes('the character')) {
-      return 'The character chooses to ' + text.toLowerCase();
+      const name = (scene && scene.metadata && scene.metadata.focusCharacter) || 'The character';
+      return `${name} chooses to ` + text.toLowerCase();
     }
     return text;
   }
@@ -1,4 +1,39 @@
 import logger from '../utils/logger.js';
+import { getLanguagePack } from '../utils/language.js';
+import { resolvePatternPacks } from '../utils/patternPacks.js';
+
+// Lower bounds of the confidence labels kept for readers of the old high/medium/low scale
+const CONFIDENCE_BUCKETS = { high: 0.75, medium: 0.5, low: 0.25 };
+
+// How much each kind of context weakens a match ("there was no dilemma", "if she had to choose")
+const DEFAULT_DAMPING = { negation: 0.3, hypothetical: 0.6, reportedSpeech: 0.6, flashback: 0.6 };
+
+// Sentence boundary inside a context window
+const SENTENCE_END = /[.!?]["'”’)\]]?\s+/;
+
+// Structural candidates used when patterns find too few points, in the order they are tried
+const STRUCTURAL_FALLBACKS = [
+  { fallback: 'chapter_end', category: 'Chapter Ending', type: 'Cliffhanger Choice', confidence: 0.3 },
+  { fallback: 'dialogue_climax', category: 'Dialogue Climax', type: 'Confrontation Choice', confidence: 0.3 },
+  { fallback: 'paragraph_tension', category: 'Rising Tension', type: 'Tense Moment', confidence: 0.25 }
+];
+
+// Where the three acts start, as shares of the story
+const ACT_BOUNDARIES = [0, 0.25, 0.75];
+
+// Instructions for the model that refines kept points (see enhanceWithAI)
+const ENHANCEMENT_SYSTEM_PROMPT = 'You review decision points found in a book that is being turned into an ' +
+  'interactive story. For the passage given, pick the category that fits the choice best, name the kind of ' +
+  'choice in a few words, say how clearly the passage offers a real choice (0 to 1), and state the dilemma ' +
+  'in one sentence, in the language of the passage. Answer with JSON only.';
+
+/**
+ * Escapes text for use inside a regular expression
+ * @private
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
 /**
  * DecisionPointDetector - Identifies key moments where choices can be made
@@ -7,11 +42,29 @@ import logger from '../utils/logger.js';
 export class DecisionPointDetector {
   constructor(config = {}) {
     this.config = {
-      minConfidence: config.minConfidence || 'medium',
+      minConfidence: config.minConfidence || 'medium', // label ("high", "medium", "low") or a score from 0 to 1
       contextWindow: config.contextWindow || 1,
       maxPointsPerChunk: config.maxPointsPerChunk || 3,
+      sceneEndWindow: config.sceneEndWindow || 3, // closing sentences of a scene that count as its end
+      sceneEndBonus: config.sceneEndBonus || 1.2, // priority multiplier for points at a scene end
+      language: config.language || 'en', // language pack for chunks that do not carry their language
+      patternPacks: config.patternPacks || null, // pattern pack ids; null uses the default packs
+      negationWindow: config.negationWindow || 4, // words before a match searched for a negation
+      protagonistBoost: config.protagonistBoost || 0.1, // added to matches that involve the protagonist
+      selectionStrategy: config.selectionStrategy || 'spaced', // "spaced" or "top-score" (see distributePoints)
+      minGapWords: config.minGapWords || null, // words between kept points; null derives it from the story length
+      minGapChunks: config.minGapChunks || 0, // chunks between kept points
+      coverageUnit: config.coverageUnit || 'auto', // "sections", "acts", or "auto" (sections unless there are more than points)
+      endingBuffer: config.endingBuffer || 0.05, // closing share of the story kept free of points
+      tensionBoost: config.tensionBoost || 0.2, // priority bonus for points near a tension peak
+      tensionPeakWindow: config.tensionPeakWindow || 1, // chunks from a peak that count as near it
+      modelProvider: config.modelProvider || null, // provider (ModelProvider.js) that refines the kept points; null skips it
+      maxEnhancedPoints: config.maxEnhancedPoints || 20, // kept points sent to the model, in story order
+      enhancementTimeout: config.enhancementTimeout || 15000, // milliseconds per model call
+      maxEnhancementFailures: config.maxEnhancementFailures || 3, // failed calls before the remaining points skip the model
       ...config
     };
+    this.config.damping = { ...DEFAULT_DAMPING, ...config.damping };
     
     // Initialize detection patterns based on the schema
     this.initializePatterns();
@@ -20,45 +73,83 @@ export class DecisionPointDetector {
   /**
    * Detects decision points in parsed text chunks
    * @param {Array} chunks - Array of parsed text chunks
+   * @param {Object} options - Pattern packs for this run: { patternPacks, genre } (defaults to config.patternPacks),
+   *   the protagonist (roster entry or name) whose choices score higher, editor overrides:
+   *   { pinned, suppressed } sentences that must or must never hold a point (see resolveOverrides),
+   *   and the tension analysis (TensionAnalyzer) whose peaks favour the points near them
    * @returns {Promise<Array>} Array of decision points with metadata
    */
-  async detect(chunks) {
+  async detect(chunks, options = {}) {
+    const { points } = await this.detectWithReport(chunks, options);
+    return points;
+  }
+
+  /**
+   * Detects decision points and reports how they were chosen
+   * Every point carries an explanation; candidates dropped as duplicates, over the per-chunk
+   * limit or by the distribution are listed with the reason they lost
+   * @param {Array} chunks - Array of parsed text chunks
+   * @param {Object} options - See detect
+   * @returns {Promise<Object>} { points, rejected, distribution, overrides }
+   */
+  async detectWithReport(chunks, options = {}) {
     logger.debug('Starting decision point detection', {
       chunkCount: chunks.length,
-      config: this.config
+      config: { ...this.config, modelProvider: this.config.modelProvider ? this.config.modelProvider.name : null }
     });
 
     try {
-      const allDecisionPoints = [];
+      const categories = options.patternPacks || options.genre
+        ? this.loadCategories({ ids: options.patternPacks, genre: options.genre })
+        : this.categories;
+      const rejected = [];
+      const overrides = this.resolveOverrides(chunks, options.overrides);
+      const scan = {
+        categories,
+        protagonist: this.protagonistMatcher(options.protagonist),
+        suppressed: overrides.suppressed,
+        rejected
+      };
+      let allDecisionPoints = await this.scanChunks(chunks, scan);
       
-      for (const chunk of chunks) {
-        const chunkPoints = await this.analyzeChunk(chunk);
-        
-        // Limit points per chunk to avoid over-segmentation
-        const limitedPoints = this.limitPointsPerChunk(chunkPoints);
-        
-        // Add chunk context to each point
-        limitedPoints.forEach(point => {
-          point.chunkId = chunk.id;
-          point.chunkIndex = chunk.index;
-          point.sectionTitle = chunk.sectionTitle;
-        });
-        
-        allDecisionPoints.push(...limitedPoints);
+      // Editors' pinned points come before anything the heuristics found
+      allDecisionPoints = this.honorPinned(allDecisionPoints, overrides.pinned, rejected);
+      
+      // Too few points: relax the scan, then fall back to the story's structure
+      if (allDecisionPoints.length < (this.config.minDecisionPoints || 3)) {
+        allDecisionPoints = await this.rescan(chunks, allDecisionPoints, scan);
       }
       
+      // Points near tension peaks rank higher from here on
+      this.annotateTension(allDecisionPoints, options.tension);
+      
       // Post-process to ensure good distribution
-      const distributedPoints = this.distributePoints(allDecisionPoints, chunks.length);
+      const { points: distributedPoints, selection, dropped } = this.distributePoints(allDecisionPoints, chunks);
+      rejected.push(...dropped);
       
-      // Enhance with AI analysis if available
-      const enhancedPoints = await this.enhanceWithAI(distributedPoints, chunks);
+      // Let the model refine the kept points, when a provider is configured
+      const enhancedPoints = await this.enhanceWithAI(distributedPoints, categories);
+      enhancedPoints.forEach(point => {
+        point.explanation = this.explainPoint(point);
+      });
       
+      const distribution = this.getDistributionStats(enhancedPoints, selection);
       logger.info('Decision point detection completed', {
         totalPoints: enhancedPoints.length,
-        distribution: this.getDistributionStats(enhancedPoints)
+        rejectedCandidates: rejected.length,
+        distribution
       });
       
-      return enhancedPoints;
+      return {
+        points: enhancedPoints,
+        rejected: this.summarizeRejected(rejected, enhancedPoints),
+        distribution,
+        overrides: {
+          pinned: overrides.pinned.length,
+          suppressed: overrides.suppressed.length,
+          unresolved: overrides.unresolved
+        }
+      };
       
     } catch (error) {
       logger.error('Decision point detection failed', { error: error.message });
@@ -66,243 +157,680 @@ export class DecisionPointDetector {
     }
   }
 
+  /**
+   * Takes points found elsewhere (the enhanced detector) through the run's pattern packs, overrides and selection
+   * Each candidate is placed on its sentence; when a pattern of the selected packs matches there, the
+   * pack's category and weight replace the candidate's. Suppressed sentences are dropped and pinned
+   * points added. Points near tension peaks then rank higher when distributePoints picks and spreads
+   * them, the model provider refines the kept ones, and the result is reported as by detectWithReport.
+   * @param {Array} chunks - Parsed chunks
+   * @param {Array} candidates - Points with chunkId and sentenceIndex, a startChar or a sentence,
+   *   and optionally category, type and confidence (score or label)
+   * @param {Object} options - { patternPacks, genre, overrides, tension } (see detect)
+   * @returns {Promise<Object>} { points, rejected, distribution, overrides } with points in story order
+   */
+  async reviewCandidates(chunks, candidates, options = {}) {
+    try {
+      const categories = options.patternPacks || options.genre
+        ? this.loadCategories({ ids: options.patternPacks, genre: options.genre })
+        : this.categories;
+      const overrides = this.resolveOverrides(chunks, options.overrides);
+      const rejected = [];
+      
+      const adopted = candidates.map(candidate => this.adoptCandidate(chunks, candidate, categories));
+      const unplaced = candidates.filter((candidate, index) => !adopted[index]);
+      if (unplaced.length > 0) {
+        logger.warn('Some enhanced candidates match no sentence', { ids: unplaced.map(candidate => candidate.id) });
+      }
+      
+      const allowed = adopted.filter(point => {
+        if (!point || !this.isSuppressed(point, overrides.suppressed)) return Boolean(point);
+        rejected.push({ point, reason: 'suppressed', keptId: null });
+        return false;
+      });
+      const reviewed = this.honorPinned(allowed, overrides.pinned, rejected);
+      
+      // Same tension boost and selection as the points this detector finds
+      this.annotateTension(reviewed, options.tension);
+      const { points: distributed, selection, dropped } = this.distributePoints(reviewed, chunks);
+      rejected.push(...dropped);
+      
+      // The model refines these as it does detected points; a failed call keeps the point as it was
+      const points = await this.enhanceWithAI(distributed, categories);
+      points.forEach(point => {
+        point.explanation = this.explainPoint(point);
+      });
+      
+      return {
+        points,
+        rejected: this.summarizeRejected(rejected, points),
+        distribution: this.getDistributionStats(points, selection),
+        overrides: {
+          pinned: overrides.pinned.length,
+          suppressed: overrides.suppressed.length,
+          unresolved: overrides.unresolved
+        }
+      };
+      
+    } catch (error) {
+      logger.error('Decision point review failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Rebuilds a candidate from another detector as a point of this one
+   * @returns {Object|null} Point, or null when its sentence cannot be found
+   * @private
+   */
+  adoptCandidate(chunks, candidate, categories) {
+    const chunk = chunks.find(other => other.id === candidate.chunkId);
+    const location = chunk && Number.isInteger(candidate.sentenceIndex) && (chunk.sentences || [])[candidate.sentenceIndex]
+      ? { chunk, sentenceIndex: candidate.sentenceIndex }
+      : this.locateSentence(chunks, { offset: candidate.startChar, sentence: candidate.sentence });
+    if (!location) return null;
+    
+    const confidence = Number.isFinite(candidate.confidence)
+      ? candidate.confidence
+      : CONFIDENCE_BUCKETS[candidate.confidence] ?? CONFIDENCE_BUCKETS.medium;
+    const point = this.buildPoint(location.chunk, location.sentenceIndex, this.config.contextWindow, {
+      id: candidate.id || `dp_${location.chunk.id}_${location.sentenceIndex}_enhanced`,
+      category: candidate.category || 'General Choice Point',
+      categoryWeight: 1.0,
+      type: candidate.type || 'Choice Point',
+      confidence,
+      scoring: { enhanced: confidence },
+      pattern: 'enhanced'
+    });
+    point.metadata.source = 'enhanced';
+    point.metadata.detectedCategory = candidate.category || null;
+    
+    // The selected packs name the category when one of their patterns matches
+    const patterns = this.patternsFor(location.chunk.metadata.language || this.config.language, categories);
+    for (const category of patterns.categories) {
+      const match = this.findMatch(category.patterns, point.context);
+      if (!match) continue;
+      Object.assign(point, {
+        category: category.name,
+        categoryWeight: category.weight,
+        pack: category.pack,
+        matchedText: match.text
+      });
+      break;
+    }
+    
+    return point;
+  }
+
+  /**
+   * Finds the sentences editors pinned or suppressed
+   * An entry names a sentence by character offset in the upload ({ offset }) or by its text
+   * ({ sentence }, a part is enough); pinned entries may also give a category, type and note.
+   * @param {Array} chunks - Parsed chunks
+   * @param {Object} overrides - { pinned, suppressed } lists of entries
+   * @returns {Object} { pinned, suppressed, unresolved } with pinned points, suppressed sentence
+   *   locations and the entries no sentence was found for
+   * @private
+   */
+  resolveOverrides(chunks, overrides = {}) {
+    const resolved = { pinned: [], suppressed: [], unresolved: [] };
+    if (!overrides) return resolved;
+    
+    for (const entry of overrides.pinned || []) {
+      const location = this.locateSentence(chunks, entry);
+      if (!location) {
+        resolved.unresolved.push({ ...entry, kind: 'pinned' });
+        continue;
+      }
+      
+      const point = this.buildPoint(location.chunk, location.sentenceIndex, this.config.contextWindow, {
+        id: `dp_${location.chunk.id}_${location.sentenceIndex}_pinned`,
+        category: entry.category || 'General Choice Point',
+        categoryWeight: 1.0,
+        type: entry.type || 'Editor Pick',
+        confidence: 1,
+        scoring: { pinned: 1 },
+        pattern: 'pinned',
+        note: entry.note || null
+      });
+      point.metadata.pinned = true;
+      point.metadata.categoryFrom = entry.category ? 'editor' : null;
+      if (!resolved.pinned.some(other => other.id === point.id)) resolved.pinned.push(point);
+    }
+    
+    for (const entry of overrides.suppressed || []) {
+      const location = this.locateSentence(chunks, entry);
+      if (!location) {
+        resolved.unresolved.push({ ...entry, kind: 'suppressed' });
+        continue;
+      }
+      const offsets = (location.chunk.sentenceOffsets || [])[location.sentenceIndex];
+      resolved.suppressed.push({
+        chunkId: location.chunk.id,
+        sentenceIndex: location.sentenceIndex,
+        startChar: offsets ? offsets.start : null,
+        sentence: location.chunk.sentences[location.sentenceIndex]
+      });
+    }
+    
+    if (resolved.unresolved.length > 0) {
+      logger.warn('Some decision point overrides match no sentence', { unresolved: resolved.unresolved });
+    }
+    
+    return resolved;
+  }
+
+  /**
+   * Finds the first sentence at a character offset, or containing a piece of text
+   * @returns {Object|null} { chunk, sentenceIndex }
+   * @private
+   */
+  locateSentence(chunks, entry) {
+    if (Number.isFinite(entry.offset)) {
+      for (const chunk of chunks) {
+        // Offsets between sentences belong to the sentence that follows
+        const sentenceIndex = (chunk.sentenceOffsets || [])
+          .findIndex(offsets => offsets && offsets.end > entry.offset);
+        if (sentenceIndex >= 0) return { chunk, sentenceIndex };
+      }
+      return null;
+    }
+    
+    if (typeof entry.sentence === 'string' && entry.sentence.trim()) {
+      const normalize = text => text.replace(/\s+/g, ' ').trim().toLowerCase();
+      const wanted = normalize(entry.sentence);
+      for (const chunk of chunks) {
+        const sentenceIndex = (chunk.sentences || []).findIndex(sentence => normalize(sentence).includes(wanted));
+        if (sentenceIndex >= 0) return { chunk, sentenceIndex };
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Checks whether a point sits on a suppressed sentence, or was found through one in its context
+   * @private
+   */
+  isSuppressed(point, suppressed = []) {
+    const matched = point.matchedText ? point.matchedText.toLowerCase() : null;
+    
+    return suppressed.some(location =>
+      (location.startChar !== null && location.startChar === point.startChar) ||
+      (location.chunkId === point.chunkId && location.sentenceIndex === point.sentenceIndex) ||
+      (matched !== null && typeof point.context === 'string' && point.context.includes(location.sentence) &&
+        location.sentence.toLowerCase().includes(matched) && !point.sentence.toLowerCase().includes(matched))
+    );
+  }
+
+  /**
+   * Puts the pinned points first; detected points at the same place step aside
+   * A pinned point without an editor category takes the category of the best point it replaces
+   * @param {Array} rejected - Collects the points that step aside
+   * @private
+   */
+  honorPinned(points, pinned, rejected) {
+    if (pinned.length === 0) return points;
+    
+    const remaining = [...points];
+    for (const pin of pinned) {
+      const displaced = remaining
+        .filter(point => this.isSamePlace(point, pin))
+        .sort((a, b) => this.priorityScore(b) - this.priorityScore(a));
+      
+      if (displaced.length > 0 && !pin.metadata.categoryFrom) {
+        const [best] = displaced;
+        Object.assign(pin, {
+          category: best.category,
+          categoryWeight: best.categoryWeight,
+          type: best.type,
+          pack: best.pack
+        });
+        pin.metadata.categoryFrom = best.id;
+      }
+      
+      displaced.forEach(point => {
+        remaining.splice(remaining.indexOf(point), 1);
+        rejected.push({ point, reason: 'pinned', keptId: pin.id });
+      });
+    }
+    
+    return [...pinned, ...remaining];
+  }
+
   /**
    * Initializes detection patterns
+   * Categories, their weights and their patterns come from the pattern packs (backend/patterns)
    * @private
    */
   initializePatterns() {
-    this.categories = [
-      {
-        name: 'Moral & Ethical Crossroads',
-        weight: 1.5, // Higher weight for more engaging choices
-        patterns: [
-          /\b(had|has|was)\s+to\s+choose\s+between\b/i,
-          /\bforced\s+to\s+decide\b/i,
-          /\btorn\s+between\b/i,
-          /\bcould\s+(either|neither).+?\bor\b/i,
-          /\bagainst\s+(my|his|her|their)\s+better\s+judgment\b/i,
-          /\bquestioned\s+(his|her|their|my)\s+morals\b/i,
-          /\bweighing\s+the\s+consequences\b/i,
-          /\bno\s+other\s+option\s+but\b/i,
-          /\bdilemma\b/i,
-          /\bconflict(ed|ing)?\s+(loyalty|interest)\b/i
-        ],
-        examples: [
-          'Moral Dilemma',
-          'Conflicting Loyalties',
-          'Unavoidable Sacrifice',
-          'Personal Temptation'
-        ]
-      },
-      {
-        name: 'Strategic or Tactical Choices',
-        weight: 1.3,
-        patterns: [
-          /\b(path|fork|crossroads)\b/i,
-          /\blimited\s+supplies\b|\bration\b|\bscarce\s+resources\b/i,
-          /\bunexpected\s+obstacle\b|\bbarrier\b/i,
-          /\babandon\s+the\s+plan\b|\bchange\s+of\s+strategy\b/i,
-          /\bfight\s+or\s+flee\b/i,
-          /\bspeed\s+or\s+stealth\b/i,
-          /\bsplit\s+the\s+group\b/i,
-          /\btake\s+the\s+risk\b|\bplay\s+it\s+safe\b/i,
-          /\broute\s+(through|around)\b/i,
-          /\btactical\s+decision\b/i
-        ],
-        examples: [
-          'Literal Fork in the Path',
-          'Resource Scarcity',
-          'Competing Goals',
-          'Unforeseen Obstacle'
-        ]
-      },
-      {
-        name: 'Time-Pressure Scenarios',
-        weight: 1.4,
-        patterns: [
-          /\bbefore\s+it'?s\s+too\s+late\b/i,
-          /\btime\s+(was|is)\s+running\s+out\b/i,
-          /\bin\s+the\s+nick\s+of\s+time\b/i,
-          /\bdeadline\b/i,
-          /\bseconds\s+left\b/i,
-          /\bhad\s+to\s+act\s+(fast|quickly|now)\b/i,
-          /\brace\s+against\s+time\b/i,
-          /\burgent\s+decision\b/i,
-          /\bnow\s+or\s+never\b/i,
-          /\bno\s+time\s+to\s+(think|lose)\b/i
-        ],
-        examples: [
-          'Time-Sensitive Choices',
-          'Simultaneous Crises',
-          'Act Now vs. Wait'
-        ]
-      },
-      {
-        name: 'Relationship & Trust Conflicts',
-        weight: 1.2,
-        patterns: [
-          /\btrust(ed)?\s+(him|her|them)\b|\bbetray(ed|al)\b/i,
-          /\bswitch\s+sides\b|\bjoin\s+the\s+enemy\b/i,
-          /\baccept(ed)?\s+help\b|\breject(ed)?\s+help\b/i,
-          /\bpast\s+came\s+back\b/i,
-          /\bprotect\s+(myself|yourself|himself|herself)\b|\bprotect\s+others\b/i,
-          /\bmake\s+peace\b|\bcut\s+ties\b/i,
-          /\bforgive\s+or\s+forget\b/i,
-          /\bstand\s+by\s+(him|her|them)\b/i,
-          /\bloyalty\s+tested\b/i,
-          /\balliance\s+(formed|broken)\b/i
-        ],
-        examples: [
-          'Trust or Betrayal Moment',
-          'Allegiance Shift',
-          'Accept or Reject Help'
-        ]
-      },
-      {
-        name: 'Information & Knowledge Risks',
-        weight: 1.1,
-        patterns: [
-          /\breveal(ed)?\s+the\s+secret\b/i,
-          /\bkeep\s+it\s+hidden\b/i,
-          /\btold\s+the\s+truth\b/i,
-          /\bwarn(ed)?\s+others\b/i,
-          /\bfalse\s+information\b/i,
-          /\bevidence\b/i,
-          /\bprophecy\b|\bprediction\b/i,
-          /\bconflicting\s+accounts\b/i,
-          /\bhidden\s+knowledge\b/i,
-          /\bforbidden\s+information\b/i
-        ],
-        examples: [
-          'Hidden Info Reveal',
-          'Forbidden Knowledge',
-          'Keep or Share Info'
-        ]
+    this.categories = this.loadCategories({ ids: this.config.patternPacks });
+  }
+
+  /**
+   * Collects the categories of the selected pattern packs
+   * @param {Object} selection - { ids, genre } (see resolvePatternPacks)
+   * @private
+   */
+  loadCategories(selection) {
+    return resolvePatternPacks(selection).flatMap(pack => pack.categories);
+  }
+
+  /**
+   * Returns the categories, with their patterns in a language, and the choice and context cues of that language
+   * @param {string} code - Language code (falls back to English)
+   * @param {Array} categories - Categories from the pattern packs
+   * @returns {Object} { categories, choiceCues, contextCues }
+   * @private
+   */
+  patternsFor(code, categories) {
+    const pack = getLanguagePack(code);
+    return {
+      categories: categories.map(category => ({
+        ...category,
+        patterns: category.patterns[pack.code] || []
+      })),
+      choiceCues: pack.choiceCues,
+      contextCues: pack.contextCues || {}
+    };
+  }
+
+  /**
+   * Scans every chunk and keeps the best points of each
+   * @param {Array} chunks - Parsed chunks
+   * @param {Object} scan - Scan settings (see analyzeChunk)
+   * @returns {Promise<Array>} Points with their chunk context
+   * @private
+   */
+  async scanChunks(chunks, scan) {
+    const points = [];
+    
+    for (const chunk of chunks) {
+      const chunkPoints = await this.analyzeChunk(chunk, scan);
+      
+      // Limit points per chunk to avoid over-segmentation
+      points.push(...this.limitPointsPerChunk(chunkPoints, scan.rejected));
+    }
+    
+    return points;
+  }
+
+  /**
+   * Finds more points when a scan comes up short of minDecisionPoints
+   * Re-scans with a lower confidence threshold, then with a wider context window, and then
+   * falls back to structural candidates: chapter endings, dialogue climaxes and tense
+   * paragraphs. Each step runs only while points are still missing, and every point it adds
+   * records the step in metadata.fallback.
+   * @private
+   */
+  async rescan(chunks, points, scan) {
+    const minPoints = this.config.minDecisionPoints || 3;
+    const found = [...points];
+    const add = (candidates, fallback, limit = Infinity) => {
+      let added = 0;
+      for (const candidate of candidates) {
+        if (added >= limit) break;
+        if (found.some(point => this.isSamePlace(point, candidate)) || this.isSuppressed(candidate, scan.suppressed)) continue;
+        candidate.metadata.fallback = fallback;
+        found.push(candidate);
+        added++;
+      }
+    };
+    
+    for (const pass of this.relaxationPasses()) {
+      if (found.length >= minPoints) break;
+      add(await this.scanChunks(chunks, { ...scan, ...pass.settings }), pass.fallback);
+      logger.debug('Decision point re-scan', { fallback: pass.fallback, ...pass.settings, found: found.length });
+    }
+    
+    for (const structural of STRUCTURAL_FALLBACKS) {
+      if (found.length >= minPoints) break;
+      add(this.findStructuralCandidates(chunks, structural), structural.fallback, minPoints - found.length);
+      logger.debug('Decision point structural fallback', { fallback: structural.fallback, found: found.length });
+    }
+    
+    return found;
+  }
+
+  /**
+   * Lists the relaxed scans, loosest last: the confidence threshold drops a step at a time
+   * down to the "low" bucket, then the context window widens by one and two sentences
+   * @private
+   */
+  relaxationPasses() {
+    const threshold = this.confidenceThreshold(this.config.minConfidence);
+    const passes = [threshold - 0.1, CONFIDENCE_BUCKETS.low]
+      .filter((minConfidence, index, all) => minConfidence < threshold && minConfidence >= CONFIDENCE_BUCKETS.low &&
+        all.indexOf(minConfidence) === index)
+      .map(minConfidence => ({ fallback: 'relaxed_confidence', settings: { minConfidence } }));
+    const loosest = Math.min(threshold, CONFIDENCE_BUCKETS.low);
+    
+    for (const extra of [1, 2]) {
+      passes.push({
+        fallback: 'wider_context',
+        settings: { minConfidence: loosest, contextWindow: this.config.contextWindow + extra }
+      });
+    }
+    
+    return passes;
+  }
+
+  /**
+   * Finds structural decision point candidates of one kind, strongest first
+   * @param {Array} chunks - Parsed chunks
+   * @param {Object} structural - Entry of STRUCTURAL_FALLBACKS
+   * @returns {Array} Candidate points
+   * @private
+   */
+  findStructuralCandidates(chunks, structural) {
+    const candidates = [];
+    
+    for (const chunk of chunks) {
+      const sentences = chunk.sentences || [];
+      if (sentences.length === 0) continue;
+      let best = null;
+      
+      if (structural.fallback === 'chapter_end') {
+        // The closing line of a chapter, where the reader turns the page
+        if (chunk.metadata.isChapterEnd) {
+          best = { sentenceIndex: sentences.length - 1, strength: 1 + this.sentenceTension(sentences[sentences.length - 1]) };
+        }
+      } else if (structural.fallback === 'dialogue_climax') {
+        // The last line of the most heated run of dialog
+        let run = 0;
+        sentences.forEach((sentence, index) => {
+          run = /^["“«—]/.test(sentence.trim()) ? run + this.sentenceTension(sentence) + 1 : 0;
+          if (run >= 3 && (!best || run > best.strength)) best = { sentenceIndex: index, strength: run };
+        });
+      } else {
+        // The end of the three tensest sentences in a row
+        sentences.forEach((sentence, index) => {
+          if (index < 2) return;
+          const strength = sentences.slice(index - 2, index + 1).reduce((sum, line) => sum + this.sentenceTension(line), 0);
+          if (strength >= 2 && (!best || strength > best.strength)) best = { sentenceIndex: index, strength };
+        });
+      }
+      
+      if (best) {
+        const point = this.buildPoint(chunk, best.sentenceIndex, this.config.contextWindow, {
+          id: `dp_${chunk.id}_${best.sentenceIndex}_${structural.fallback}`,
+          category: structural.category,
+          categoryWeight: 1.0,
+          type: structural.type,
+          confidence: structural.confidence,
+          scoring: { structural: structural.confidence, strength: best.strength },
+          pattern: structural.fallback
+        });
+        candidates.push(point);
       }
-    ];
-    
-    // General choice cues that boost confidence
-    this.choiceCues = [
-      /\bchoose\b/i,
-      /\bchoice\b/i,
-      /\bdecide\b/i,
-      /\bdecision\b/i,
-      /\beither\b.*\bor\b/i,
-      /\bnow\s+or\s+never\b/i,
-      /\bno\s+other\s+option\b/i,
-      /\bweigh(ing)?\s+the\s+consequences\b/i,
-      /\btrade\s+off\b/i,
-      /\bat\s+the\s+cost\s+of\b/i,
-      /\bmust\s+(choose|decide)\b/i,
-      /\bcould\s+(go|take|choose)\b/i
-    ];
+    }
+    
+    return candidates.sort((a, b) => b.scoring.strength - a.scoring.strength);
+  }
+
+  /**
+   * Rough tension of a sentence: exclamations, questions and short, clipped lines
+   * @private
+   */
+  sentenceTension(sentence) {
+    const words = sentence.split(/\s+/).filter(Boolean).length;
+    return (sentence.includes('!') ? 1 : 0) + (sentence.includes('?') ? 0.5 : 0) + (words > 0 && words < 8 ? 0.5 : 0);
+  }
+
+  /**
+   * Checks whether two points sit on the same passage
+   * Overlapping chunks share sentences, so source offsets are compared when known
+   * @private
+   */
+  isSamePlace(a, b) {
+    if (a.startChar !== null && a.startChar !== undefined && a.startChar === b.startChar) return true;
+    return a.chunkId === b.chunkId && Math.abs(a.sentenceIndex - b.sentenceIndex) < 3;
   }
 
   /**
    * Analyzes a single chunk for decision points
+   * @param {Object} chunk - Parsed chunk
+   * @param {Object} scan - { categories, protagonist, minConfidence, contextWindow, suppressed, rejected }; unset
+   *   fields use the config, and rejected collects the candidates that are suppressed or lose to a duplicate
    * @private
    */
-  async analyzeChunk(chunk) {
+  async analyzeChunk(chunk, scan = {}) {
     const points = [];
     const sentences = chunk.sentences || [];
+    const categories = scan.categories || this.categories;
+    const protagonist = scan.protagonist || null;
+    const contextWindow = scan.contextWindow || this.config.contextWindow;
+    const minConfidence = scan.minConfidence || this.config.minConfidence;
+    // Patterns follow the language the parser read the chunk in
+    const patterns = this.patternsFor(chunk.metadata.language || this.config.language, categories);
     
     for (let i = 0; i < sentences.length; i++) {
-      // Get context window
-      const contextStart = Math.max(0, i - this.config.contextWindow);
-      const contextEnd = Math.min(sentences.length, i + this.config.contextWindow + 1);
-      const context = sentences.slice(contextStart, contextEnd).join(' ');
+      const context = this.contextAround(sentences, i, contextWindow);
+      const speaker = this.findSpeaker(chunk, sentences[i], (chunk.sentenceOffsets || [])[i] || null);
       
       // Check against each category
-      for (const category of this.categories) {
-        let matched = false;
-        let matchedPattern = null;
+      for (const category of patterns.categories) {
+        const match = this.findMatch(category.patterns, context);
         
-        for (const pattern of category.patterns) {
-          if (pattern.test(context)) {
-            matched = true;
-            matchedPattern = pattern.source;
-            break;
-          }
-        }
-        
-        if (matched) {
-          const confidence = this.calculateConfidence(context, matched);
+        if (match) {
+          const { confidence, scoring } = this.calculateConfidence(context, match, {
+            hasPatternMatch: true,
+            patterns,
+            protagonist,
+            speaker
+          });
           
-          if (this.meetsConfidenceThreshold(confidence)) {
-            points.push({
+          if (this.meetsConfidenceThreshold(confidence, minConfidence)) {
+            points.push(this.buildPoint(chunk, i, contextWindow, {
               id: `dp_${chunk.id}_${i}_${points.length}`,
               category: category.name,
               categoryWeight: category.weight,
+              pack: category.pack,
               type: category.examples[0], // Default to first example
-              sentenceIndex: i,
-              sentence: sentences[i],
-              context,
               confidence,
-              pattern: matchedPattern,
-              position: this.calculateRelativePosition(i, sentences.length),
-              metadata: {
-                hasDialog: chunk.metadata.hasDialog,
-                isChapterBoundary: chunk.metadata.isChapterStart || chunk.metadata.isChapterEnd
-              }
-            });
+              scoring,
+              pattern: match.pattern.source,
+              matchedText: match.text
+            }));
           }
         }
       }
       
       // Check for general choice cues if no category matched
       if (points.length === 0) {
-        const hasChoiceCue = this.choiceCues.some(cue => cue.test(context));
-        if (hasChoiceCue) {
-          points.push({
+        const cue = this.findMatch(patterns.choiceCues, context);
+        const scored = cue && this.calculateConfidence(context, cue, { hasPatternMatch: false, patterns, protagonist, speaker });
+        // A negated or hypothetical cue ("she didn't have to choose") is no choice at all
+        if (scored && scored.confidence >= CONFIDENCE_BUCKETS.low) {
+          points.push(this.buildPoint(chunk, i, contextWindow, {
             id: `dp_${chunk.id}_${i}_generic`,
             category: 'General Choice Point',
             categoryWeight: 1.0,
             type: 'Choice Cue',
-            sentenceIndex: i,
-            sentence: sentences[i],
-            context,
-            confidence: 'low',
+            confidence: scored.confidence,
+            scoring: scored.scoring,
             pattern: 'choice_cue',
-            position: this.calculateRelativePosition(i, sentences.length)
-          });
+            matchedText: cue.text
+          }));
         }
       }
     }
     
+    // Editors' suppressed sentences never hold a point
+    const allowed = points.filter(point => {
+      if (!this.isSuppressed(point, scan.suppressed)) return true;
+      if (scan.rejected) scan.rejected.push({ point, reason: 'suppressed', keptId: null });
+      return false;
+    });
+    
     // Remove duplicates and overlapping points
-    return this.deduplicatePoints(points);
+    return this.deduplicatePoints(allowed, scan.rejected);
+  }
+
+  /**
+   * Joins a sentence with its neighbours within the context window
+   * @private
+   */
+  contextAround(sentences, index, contextWindow) {
+    const contextStart = Math.max(0, index - contextWindow);
+    const contextEnd = Math.min(sentences.length, index + contextWindow + 1);
+    return sentences.slice(contextStart, contextEnd).join(' ');
   }
 
   /**
-   * Calculates confidence score for a match
+   * Builds a decision point on a sentence of a chunk
+   * @param {Object} fields - What found the point: id, category, categoryWeight, type, confidence, scoring, pattern, matchedText
    * @private
    */
-  calculateConfidence(context, hasPatternMatch) {
-    const hasChoiceCue = this.choiceCues.some(cue => cue.test(context));
+  buildPoint(chunk, sentenceIndex, contextWindow, fields) {
+    const sentences = chunk.sentences || [];
+    // Where the sentence sits in the original upload
+    const offsets = (chunk.sentenceOffsets || [])[sentenceIndex] || null;
     
-    if (hasPatternMatch && hasChoiceCue) {
-      return 'high';
-    } else if (hasPatternMatch) {
-      return 'medium';
-    } else if (hasChoiceCue) {
-      return 'low';
-    }
+    return {
+      ...fields,
+      confidenceLabel: this.confidenceLabel(fields.confidence),
+      chunkId: chunk.id,
+      chunkIndex: chunk.index,
+      sectionTitle: chunk.sectionTitle,
+      sceneId: chunk.sceneId,
+      sentenceIndex,
+      sentence: sentences[sentenceIndex],
+      startChar: offsets ? offsets.start : null,
+      endChar: offsets ? offsets.end : null,
+      speaker: this.findSpeaker(chunk, sentences[sentenceIndex], offsets),
+      context: this.contextAround(sentences, sentenceIndex, contextWindow),
+      position: this.calculateRelativePosition(sentenceIndex, sentences.length),
+      dilemma: null, // one-line statement of the choice, from the model provider
+      metadata: {
+        hasDialog: chunk.metadata.hasDialog,
+        isChapterBoundary: chunk.metadata.isChapterStart || chunk.metadata.isChapterEnd,
+        isSceneBoundary: Boolean(chunk.metadata.isSceneStart || chunk.metadata.isSceneEnd),
+        atSceneEnd: this.isAtSceneEnd(chunk, sentenceIndex, sentences.length),
+        fallback: null, // set when a re-scan or structural fallback found the point
+        pinned: false, // set on the points editors pinned
+        tension: null, // tension of the chunk, when a tension analysis is given
+        nearTensionPeak: false,
+        enhancement: null // what the model changed, or why it could not (see enhanceWithAI)
+      }
+    };
+  }
+
+  /**
+   * Returns who is talking in a sentence: the speaker of a line of dialog inside it
+   * @returns {string|null} Speaker name, or null for narration and unattributed lines
+   * @private
+   */
+  findSpeaker(chunk, sentence, offsets) {
+    const line = (chunk.dialogue || []).find(utterance => {
+      if (!utterance.speaker) return false;
+      if (offsets && utterance.startChar !== null) {
+        return utterance.startChar < offsets.end && utterance.endChar > offsets.start;
+      }
+      return sentence.includes(utterance.text) || utterance.text.includes(sentence);
+    });
     
-    return 'none';
+    return line ? line.speaker : null;
   }
 
   /**
-   * Checks if confidence meets threshold
+   * Returns the first pattern that matches a text, with where it matched
+   * @returns {Object|null} { pattern, index, text }
    * @private
    */
-  meetsConfidenceThreshold(confidence) {
-    const thresholds = {
-      high: ['high', 'medium', 'low'],
-      medium: ['high', 'medium'],
-      low: ['high']
+  findMatch(patterns, text) {
+    for (const pattern of patterns) {
+      const match = text.match(pattern);
+      if (match) return { pattern, index: match.index, text: match[0] };
+    }
+    return null;
+  }
+
+  /**
+   * Builds the matcher for the protagonist's names
+   * @param {Object|string} protagonist - Roster entry (with aliases) or name
+   * @returns {Object|null} { names, pattern }
+   * @private
+   */
+  protagonistMatcher(protagonist) {
+    if (!protagonist) return null;
+    const names = typeof protagonist === 'string' ? [protagonist] : (protagonist.aliases || [protagonist.name]);
+    return {
+      names,
+      pattern: new RegExp(`\\b(?:${names.map(escapeRegExp).join('|')})\\b`)
     };
+  }
+
+  /**
+   * Calculates the confidence of a match, from 0 to 1
+   * A category pattern is worth 0.6 and a choice cue 0.25 (0.35 on its own); a match that
+   * involves the protagonist gains protagonistBoost. Context around the match then damps it:
+   * a negation just before it, a hypothetical or reported-speech lead-in in its sentence, or
+   * a flashback anywhere in that sentence each multiply the score by their damping factor.
+   * @returns {Object} { confidence, scoring } where scoring itemizes how the score was reached
+   * @private
+   */
+  calculateConfidence(context, match, { hasPatternMatch, patterns, protagonist, speaker }) {
+    const firedCues = patterns.choiceCues.filter(cue => cue.test(context));
+    const hasChoiceCue = firedCues.length > 0;
+    const patternScore = hasPatternMatch ? 0.6 : 0;
+    const cueScore = hasChoiceCue ? (hasPatternMatch ? 0.25 : 0.35) : 0;
+    const involvesProtagonist = Boolean(protagonist) &&
+      (protagonist.pattern.test(context) || protagonist.names.includes(speaker));
+    const protagonistScore = involvesProtagonist ? this.config.protagonistBoost : 0;
     
-    return thresholds[this.config.minConfidence].includes(confidence);
+    // The part of the match's sentence that leads up to it, and the whole sentence
+    const lead = context.slice(0, match.index).split(SENTENCE_END).pop();
+    const sentence = lead + context.slice(match.index).split(SENTENCE_END)[0];
+    const lastWords = lead.trim().split(/\s+/).slice(-this.config.negationWindow).join(' ');
+    const cues = patterns.contextCues;
+    const found = {
+      negation: Boolean(cues.negation && cues.negation.test(lastWords)),
+      hypothetical: Boolean(cues.hypothetical && cues.hypothetical.test(lead)),
+      reportedSpeech: Boolean(cues.reportedSpeech && cues.reportedSpeech.test(lead)),
+      flashback: Boolean(cues.flashback && cues.flashback.test(sentence))
+    };
+    const dampers = Object.keys(found).filter(cue => found[cue]);
+    const multiplier = dampers.reduce((product, cue) => product * this.config.damping[cue], 1);
+    
+    const confidence = Math.min(1, (patternScore + cueScore + protagonistScore) * multiplier);
+    return {
+      confidence: Math.round(confidence * 100) / 100,
+      scoring: {
+        pattern: patternScore,
+        choiceCue: cueScore,
+        cues: firedCues.map(cue => cue.source),
+        protagonist: protagonistScore,
+        dampers,
+        multiplier: Math.round(multiplier * 1000) / 1000
+      }
+    };
+  }
+
+  /**
+   * Derives the high/medium/low label of a confidence score
+   * @private
+   */
+  confidenceLabel(confidence) {
+    return Object.keys(CONFIDENCE_BUCKETS).find(label => confidence >= CONFIDENCE_BUCKETS[label]) || 'none';
+  }
+
+  /**
+   * Checks if confidence meets threshold
+   * @private
+   */
+  meetsConfidenceThreshold(confidence, minConfidence = this.config.minConfidence) {
+    return confidence >= this.confidenceThreshold(minConfidence);
+  }
+
+  /**
+   * Turns a minConfidence setting (label or score) into a score
+   * @private
+   */
+  confidenceThreshold(minConfidence) {
+    return typeof minConfidence === 'number'
+      ? minConfidence
+      : CONFIDENCE_BUCKETS[minConfidence] ?? CONFIDENCE_BUCKETS.medium;
   }
 
   /**
@@ -313,11 +841,48 @@ export class DecisionPointDetector {
     return total > 0 ? index / total : 0;
   }
 
+  /**
+   * Checks whether a sentence falls in the closing stretch of a scene
+   * Choices placed there lead straight into a scene break, a natural place to reconverge
+   * @private
+   */
+  isAtSceneEnd(chunk, sentenceIndex, sentenceCount) {
+    return Boolean(chunk.metadata.isSceneEnd) &&
+      sentenceIndex >= sentenceCount - this.config.sceneEndWindow;
+  }
+
+  /**
+   * Scores a point for prioritization (confidence x category weight, favouring scene endings and tension peaks)
+   * @private
+   */
+  priorityScore(point) {
+    const sceneBonus = point.metadata?.atSceneEnd ? this.config.sceneEndBonus : 1;
+    const tensionBonus = point.metadata?.nearTensionPeak ? 1 + this.config.tensionBoost : 1;
+    return point.confidence * point.categoryWeight * sceneBonus * tensionBonus;
+  }
+
+  /**
+   * Records the tension of each point's chunk, and whether a peak is within tensionPeakWindow chunks
+   * @param {Object} tension - TensionAnalyzer result ({ curve, peaks }); nothing is marked without one
+   * @private
+   */
+  annotateTension(points, tension) {
+    if (!tension || !Array.isArray(tension.curve)) return;
+    
+    const byChunk = new Map(tension.curve.map(entry => [entry.chunkIndex, entry.tension]));
+    points.forEach(point => {
+      point.metadata.tension = byChunk.get(point.chunkIndex) ?? null;
+      point.metadata.nearTensionPeak = (tension.peaks || [])
+        .some(peak => Math.abs(peak - point.chunkIndex) <= this.config.tensionPeakWindow);
+    });
+  }
+
   /**
    * Removes duplicate and overlapping points
+   * @param {Array} rejected - Collects the points that lose, with the point they lost to
    * @private
    */
-  deduplicatePoints(points) {
+  deduplicatePoints(points, rejected = []) {
     if (points.length <= 1) return points;
     
     // Sort by sentence index
@@ -328,13 +893,17 @@ export class DecisionPointDetector {
     
     for (const point of points) {
       // Keep points that are at least 3 sentences apart
+      const previous = deduplicated[deduplicated.length - 1];
       if (point.sentenceIndex - lastIndex >= 3) {
         deduplicated.push(point);
         lastIndex = point.sentenceIndex;
-      } else if (point.confidence === 'high' && deduplicated[deduplicated.length - 1].confidence !== 'high') {
+      } else if (point.confidence > previous.confidence) {
         // Replace with higher confidence point
         deduplicated[deduplicated.length - 1] = point;
         lastIndex = point.sentenceIndex;
+        rejected.push({ point: previous, reason: 'duplicate', keptId: point.id });
+      } else {
+        rejected.push({ point, reason: 'duplicate', keptId: previous.id });
       }
     }
     
@@ -343,34 +912,39 @@ export class DecisionPointDetector {
 
   /**
    * Limits points per chunk
+   * @param {Array} rejected - Collects the points over the limit
    * @private
    */
-  limitPointsPerChunk(points) {
+  limitPointsPerChunk(points, rejected = []) {
     if (points.length <= this.config.maxPointsPerChunk) {
       return points;
     }
     
     // Prioritize by confidence and weight
-    points.sort((a, b) => {
-      const confScore = { high: 3, medium: 2, low: 1 };
-      const aScore = confScore[a.confidence] * a.categoryWeight;
-      const bScore = confScore[b.confidence] * b.categoryWeight;
-      return bScore - aScore;
-    });
+    points.sort((a, b) => this.priorityScore(b) - this.priorityScore(a));
     
+    points.slice(this.config.maxPointsPerChunk).forEach(point => {
+      rejected.push({ point, reason: 'chunk_limit', keptId: null });
+    });
     return points.slice(0, this.config.maxPointsPerChunk);
   }
 
   /**
-   * Ensures good distribution across the story
+   * Picks the points to keep, spread across the story
+   * Pinned points are always kept and count toward maxDecisionPoints.
+   * The "spaced" strategy keeps points out of the ending stretch, holds them minGapWords and
+   * minGapChunks apart, covers every section (or act, when there are more sections than points)
+   * and fills the rest by score weighed against distance from the points already picked.
+   * "top-score" keeps the highest-scoring points wherever they fall.
    * @private
+   * @returns {Object} { points, selection, dropped } with the points in story order, a summary of the selection
+   *   and the points left out, each with its reason (ending_buffer or selection)
    */
-  distributePoints(points, totalChunks) {
-    // Ensure we have points distributed throughout the story
+  distributePoints(points, chunks) {
     const minPoints = this.config.minDecisionPoints || 3;
     const maxPoints = this.config.maxDecisionPoints || 15;
     
-    // If too few points, lower confidence threshold and re-scan
+    // Re-scans and structural fallbacks have already run (see rescan); what is still missing is reported
     if (points.length < minPoints) {
       logger.warn('Too few decision points detected', {
         found: points.length,
@@ -378,57 +952,452 @@ export class DecisionPointDetector {
       });
     }
     
-    // If too many points, prioritize and trim
-    if (points.length > maxPoints) {
-      points.sort((a, b) => {
-        const confScore = { high: 3, medium: 2, low: 1 };
-        const aScore = confScore[a.confidence] * a.categoryWeight;
-        const bScore = confScore[b.confidence] * b.categoryWeight;
-        return bScore - aScore;
-      });
-      
-      points = points.slice(0, maxPoints);
+    const layout = this.storyLayout(chunks, maxPoints);
+    points.forEach(point => {
+      point.metadata.wordPosition = this.wordPosition(point, layout);
+    });
+    
+    let selected;
+    let selection;
+    if (this.config.selectionStrategy === 'top-score') {
+      const pinned = points.filter(point => point.metadata.pinned);
+      pinned.forEach(point => { point.metadata.selectedBy = 'pinned'; });
+      const best = points
+        .filter(point => !point.metadata.pinned)
+        .sort((a, b) => this.priorityScore(b) - this.priorityScore(a))
+        .slice(0, Math.max(0, maxPoints - pinned.length));
+      best.forEach(point => { point.metadata.selectedBy = 'top_score'; });
+      selected = [...pinned, ...best];
+      selection = { strategy: 'top-score' };
+    } else {
+      ({ selected, selection } = this.selectSpaced(points, layout, minPoints, maxPoints));
     }
     
     // Sort by position in story
-    points.sort((a, b) => {
+    selected.sort((a, b) => {
       if (a.chunkIndex !== b.chunkIndex) {
         return a.chunkIndex - b.chunkIndex;
       }
       return a.sentenceIndex - b.sentenceIndex;
     });
     
-    return points;
+    const dropped = points
+      .filter(point => !selected.includes(point))
+      .map(point => ({
+        point,
+        reason: selection.strategy === 'spaced' && point.metadata.wordPosition >= layout.endingStart ? 'ending_buffer' : 'selection',
+        keptId: null
+      }));
+    
+    return { points: selected, selection: { ...selection, candidates: points.length, totalWords: layout.totalWords }, dropped };
+  }
+
+  /**
+   * Maps the story by words: where each chunk starts, where each section or act lies
+   * Chunk overlap is counted twice, which is close enough for spacing
+   * @private
+   */
+  storyLayout(chunks, maxPoints) {
+    const chunksById = new Map(chunks.map(chunk => [chunk.id, chunk]));
+    const chunkStarts = new Map();
+    const chunkSections = new Map();
+    let totalWords = 0;
+    chunks.forEach((chunk, index) => {
+      const chunkIndex = chunk.index ?? index;
+      chunkStarts.set(chunkIndex, totalWords);
+      chunkSections.set(chunkIndex, chunk.sectionIndex ?? 0);
+      totalWords += chunk.wordCount || 0;
+    });
+    
+    const sections = [...new Set(chunkSections.values())];
+    const useSections = this.config.coverageUnit === 'sections' ||
+      (this.config.coverageUnit !== 'acts' && sections.length > 1 && sections.length <= maxPoints);
+    const units = useSections
+      ? sections.map(section => ({ key: `section_${section}`, section }))
+      : ACT_BOUNDARIES.map((start, index) => ({
+        key: `act_${index + 1}`,
+        start: start * totalWords,
+        end: (ACT_BOUNDARIES[index + 1] ?? 1) * totalWords
+      }));
+    
+    const endingStart = totalWords * (1 - this.config.endingBuffer);
+    
+    return {
+      chunksById,
+      chunkStarts,
+      chunkSections,
+      totalWords,
+      coverageUnit: useSections ? 'sections' : 'acts',
+      units,
+      endingStart,
+      minGapWords: this.config.minGapWords ?? Math.floor(endingStart / (maxPoints * 3)),
+      idealGap: Math.max(1, endingStart / maxPoints)
+    };
+  }
+
+  /**
+   * Word offset of a point from the start of the story
+   * @private
+   */
+  wordPosition(point, layout) {
+    const chunk = layout.chunksById.get(point.chunkId);
+    const before = chunk
+      ? (chunk.sentences || []).slice(0, point.sentenceIndex).join(' ').split(/\s+/).filter(Boolean).length
+      : 0;
+    return (layout.chunkStarts.get(point.chunkIndex) || 0) + before;
+  }
+
+  /**
+   * Section or act a point falls in
+   * @private
+   */
+  unitOf(point, layout) {
+    if (layout.coverageUnit === 'sections') {
+      return `section_${layout.chunkSections.get(point.chunkIndex) ?? 0}`;
+    }
+    const position = point.metadata.wordPosition;
+    const unit = layout.units.find(candidate => position >= candidate.start && position < candidate.end);
+    return (unit || layout.units[layout.units.length - 1]).key;
+  }
+
+  /**
+   * Spread-aware selection: coverage first, then score and spread, then the minimum if still short
+   * @private
+   */
+  selectSpaced(points, layout, minPoints, maxPoints) {
+    const candidates = points
+      .filter(point => !point.metadata.pinned && point.metadata.wordPosition < layout.endingStart)
+      .sort((a, b) => this.priorityScore(b) - this.priorityScore(a));
+    const selected = [];
+    
+    const distance = (a, b) => Math.abs(a.metadata.wordPosition - b.metadata.wordPosition);
+    const fits = candidate => selected.every(point =>
+      distance(point, candidate) >= layout.minGapWords &&
+      Math.abs(point.chunkIndex - candidate.chunkIndex) >= this.config.minGapChunks
+    );
+    const pick = (point, reason) => {
+      point.metadata.selectedBy = reason;
+      selected.push(point);
+    };
+    
+    // Pinned points go wherever editors put them
+    points.filter(point => point.metadata.pinned).forEach(point => pick(point, 'pinned'));
+    
+    // The best point of each section or act not yet covered
+    for (const unit of layout.units) {
+      if (selected.length >= maxPoints) break;
+      if (selected.some(point => this.unitOf(point, layout) === unit.key)) continue;
+      const best = candidates.find(point => !selected.includes(point) && this.unitOf(point, layout) === unit.key && fits(point));
+      if (best) pick(best, 'coverage');
+    }
+    
+    // Then the point worth most once crowding is counted: full score at idealGap from its neighbours, half when next to one
+    while (selected.length < maxPoints) {
+      let best = null;
+      let bestValue = -1;
+      for (const point of candidates) {
+        if (selected.includes(point) || !fits(point)) continue;
+        const nearest = Math.min(Infinity, ...selected.map(other => distance(point, other)));
+        const value = this.priorityScore(point) * (0.5 + 0.5 * Math.min(1, nearest / layout.idealGap));
+        if (value > bestValue) {
+          best = point;
+          bestValue = value;
+        }
+      }
+      if (!best) break;
+      pick(best, 'score_and_spread');
+    }
+    
+    // Spacing gives way to the minimum point count, the ending stretch does not
+    for (const point of candidates) {
+      if (selected.length >= minPoints) break;
+      if (!selected.includes(point)) pick(point, 'minimum');
+    }
+    
+    const covered = new Set(selected.map(point => this.unitOf(point, layout)));
+    
+    return {
+      selected,
+      selection: {
+        strategy: 'spaced',
+        coverageUnit: layout.coverageUnit,
+        unitsCovered: layout.units.filter(unit => covered.has(unit.key)).length,
+        unitCount: layout.units.length,
+        minGapWords: layout.minGapWords,
+        minGapChunks: this.config.minGapChunks,
+        endingBuffer: this.config.endingBuffer,
+        excludedFromEnding: points.filter(point => !point.metadata.pinned && point.metadata.wordPosition >= layout.endingStart).length
+      }
+    };
+  }
+
+  /**
+   * Explains why a point was found and how it scored
+   * @returns {Object} { pattern, matchedText, category, pack, choiceCues, confidence, fallback, selectedBy, reasons }
+   * @private
+   */
+  explainPoint(point) {
+    const scoring = point.scoring || {};
+    const { cues = [], ...breakdown } = scoring;
+    const fallback = point.metadata.fallback || null;
+    const reasons = [];
+    
+    if (point.metadata.pinned) {
+      reasons.push(`Pinned by an editor${point.note ? `: ${point.note}` : ''}`);
+      if (point.metadata.categoryFrom && point.metadata.categoryFrom !== 'editor') {
+        reasons.push(`Category taken from detected point ${point.metadata.categoryFrom}`);
+      }
+    } else if (point.metadata.source === 'enhanced') {
+      reasons.push(`Found by the enhanced detector${point.metadata.detectedCategory ? ` (${point.metadata.detectedCategory})` : ''}`);
+      if (point.matchedText) {
+        reasons.push(`Category from matching "${point.matchedText}" (${point.category}${point.pack ? `, ${point.pack} pack` : ''})`);
+      }
+    } else if (point.matchedText) {
+      reasons.push(`Matched "${point.matchedText}" (${point.category}${point.pack ? `, ${point.pack} pack` : ''})`);
+    } else {
+      reasons.push(`Structural candidate (${point.pattern})`);
+    }
+    if (cues.length > 0) reasons.push(`Choice cues: ${cues.join(', ')}`);
+    if (scoring.protagonist) reasons.push('Involves the protagonist');
+    if (scoring.dampers && scoring.dampers.length > 0) {
+      reasons.push(`Damped by ${scoring.dampers.join(', ')} (x${scoring.multiplier})`);
+    }
+    if (fallback) reasons.push(`Found by the ${fallback} fallback`);
+    if (point.metadata.nearTensionPeak) reasons.push(`Near a tension peak (chunk tension ${point.metadata.tension})`);
+    const enhancement = point.metadata.enhancement;
+    if (enhancement && enhancement.changes) {
+      reasons.push(enhancement.changes.length > 0
+        ? `Refined by the ${enhancement.provider} model: ${enhancement.changes.join(', ')}`
+        : `Confirmed by the ${enhancement.provider} model`);
+    }
+    
+    return {
+      pattern: point.pattern,
+      matchedText: point.matchedText || null,
+      category: point.category,
+      pack: point.pack || null,
+      choiceCues: cues,
+      confidence: {
+        score: point.confidence,
+        label: point.confidenceLabel,
+        priority: Math.round(this.priorityScore(point) * 100) / 100,
+        ...breakdown
+      },
+      fallback,
+      pinned: Boolean(point.metadata.pinned),
+      selectedBy: point.metadata.selectedBy || null,
+      enhancement: enhancement || null,
+      reasons
+    };
+  }
+
+  /**
+   * Lists rejected candidates once each, in story order, with their explanations
+   * Re-scans meet the same candidates again, so repeats, and candidates a later pass kept, are dropped
+   * @private
+   */
+  summarizeRejected(rejected, kept) {
+    const seen = new Set(kept.map(point => point.id));
+    
+    return rejected
+      .filter(({ point, reason }) => {
+        const key = `${point.id}:${reason}`;
+        if (seen.has(point.id) || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .map(({ point, reason, keptId }) => ({
+        id: point.id,
+        reason,
+        keptId,
+        category: point.category,
+        sentence: point.sentence,
+        chunkId: point.chunkId,
+        chunkIndex: point.chunkIndex,
+        sentenceIndex: point.sentenceIndex,
+        startChar: point.startChar,
+        confidence: point.confidence,
+        explanation: this.explainPoint(point)
+      }))
+      .sort((a, b) => a.chunkIndex - b.chunkIndex || a.sentenceIndex - b.sentenceIndex);
   }
 
   /**
-   * Enhances points with AI analysis
+   * Refines points with the model provider
+   * Each point's sentence and context go to the model, which answers with a category, a type,
+   * a confidence and a one-line dilemma. Categories outside the pattern packs are ignored, the
+   * confidence is averaged with the detector's, and editors' categories and pins are kept.
+   * A failed call leaves its point as the heuristics found it; after maxEnhancementFailures
+   * failures the remaining points skip the model.
+   * @param {Array} points - Kept decision points
+   * @param {Array} categories - Categories of this run's pattern packs
+   * @returns {Promise<Array>} The same points
    * @private
    */
-  async enhanceWithAI(points, chunks) {
-    // This would normally call the AI service to enhance decision points
-    // For now, return as-is
+  async enhanceWithAI(points, categories) {
+    const provider = this.config.modelProvider;
+    if (!provider || points.length === 0) return points;
+    
+    const known = [...new Map(categories.map(category => [category.name, category])).values()];
+    let failures = 0;
+    
+    for (const point of points.slice(0, this.config.maxEnhancedPoints)) {
+      if (failures >= this.config.maxEnhancementFailures) {
+        point.metadata.enhancement = { provider: provider.name, skipped: 'too many failed model calls' };
+        continue;
+      }
+      
+      try {
+        const controller = new AbortController();
+        const response = await this.withTimeout(provider.complete({
+          system: ENHANCEMENT_SYSTEM_PROMPT,
+          prompt: this.enhancementPrompt(point, known),
+          maxTokens: 300,
+          temperature: 0,
+          signal: controller.signal
+        }), this.config.enhancementTimeout, controller);
+        this.applyRefinement(point, this.parseRefinement(response.text, known), known, provider.name);
+        failures = 0;
+      } catch (error) {
+        failures++;
+        logger.warn('Model refinement failed, keeping the detected point', {
+          pointId: point.id,
+          provider: provider.name,
+          error: error.message
+        });
+        point.metadata.enhancement = { provider: provider.name, error: error.message };
+      }
+    }
+    
+    const refined = points.filter(point => point.metadata.enhancement && point.metadata.enhancement.changes);
+    logger.info('Model refinement completed', { provider: provider.name, refined: refined.length, points: points.length });
     return points;
   }
 
+  /**
+   * Writes the prompt for one point
+   * The "Label: value" lines and the "- Category: type | type" list are what the mock provider reads
+   * @private
+   */
+  enhancementPrompt(point, categories) {
+    const oneLine = text => (text || '').replace(/\s+/g, ' ').trim();
+    return [
+      'Categories:',
+      ...categories.map(category => `- ${category.name}: ${(category.examples || []).join(' | ')}`),
+      '',
+      `Current category: ${point.category}`,
+      `Current type: ${point.type}`,
+      `Detector confidence: ${point.confidence}`,
+      `Speaker: ${point.speaker || 'narration'}`,
+      `Sentence: ${oneLine(point.sentence)}`,
+      `Context: ${oneLine(point.context)}`,
+      '',
+      'Answer with JSON only: {"category": "<one of the categories>", "type": "<short choice type>", ' +
+        '"confidence": <0 to 1>, "dilemma": "<one sentence naming the choice the reader faces>"}'
+    ].join('\n');
+  }
+
+  /**
+   * Reads the model's JSON answer
+   * @returns {Object} { category, type, confidence, dilemma }, each null when missing or unusable
+   * @throws {Error} When the answer holds no JSON object
+   * @private
+   */
+  parseRefinement(text, categories) {
+    const json = (text || '').match(/\{[\s\S]*\}/);
+    if (!json) {
+      throw new Error('Model answer holds no JSON object');
+    }
+    const answer = JSON.parse(json[0]);
+    const clean = value => typeof value === 'string' && value.trim() ? value.replace(/\s+/g, ' ').trim() : null;
+    const confidence = Number(answer.confidence);
+    
+    return {
+      category: categories.some(category => category.name === answer.category) ? answer.category : null,
+      type: clean(answer.type) && clean(answer.type).length <= 60 ? clean(answer.type) : null,
+      confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : null,
+      dilemma: clean(answer.dilemma) && clean(answer.dilemma).length <= 240 ? clean(answer.dilemma) : null
+    };
+  }
+
+  /**
+   * Applies a refinement to a point and records what changed
+   * @private
+   */
+  applyRefinement(point, refinement, categories, providerName) {
+    const original = { category: point.category, type: point.type, confidence: point.confidence };
+    const changes = [];
+    const editorCategory = point.metadata.categoryFrom === 'editor';
+    
+    if (refinement.category && refinement.category !== point.category && !editorCategory) {
+      const category = categories.find(candidate => candidate.name === refinement.category);
+      changes.push(`category ${point.category} -> ${category.name}`);
+      point.category = category.name;
+      point.categoryWeight = category.weight || 1.0;
+      point.pack = category.pack || point.pack;
+    }
+    if (refinement.type && refinement.type !== point.type && !editorCategory) {
+      changes.push(`type ${point.type} -> ${refinement.type}`);
+      point.type = refinement.type;
+    }
+    if (refinement.confidence !== null && !point.metadata.pinned) {
+      const confidence = Math.round((point.confidence + refinement.confidence) / 2 * 100) / 100;
+      if (confidence !== point.confidence) {
+        changes.push(`confidence ${point.confidence} -> ${confidence}`);
+        point.confidence = confidence;
+        point.confidenceLabel = this.confidenceLabel(confidence);
+      }
+    }
+    if (refinement.dilemma) {
+      point.dilemma = refinement.dilemma;
+    }
+    
+    point.metadata.enhancement = { provider: providerName, original, changes };
+  }
+
+  /**
+   * Rejects a promise that takes longer than a limit, aborting the request behind it
+   * @private
+   */
+  withTimeout(promise, milliseconds, controller = null) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        if (controller) controller.abort();
+        reject(new Error(`Model call timed out after ${milliseconds}ms`));
+      }, milliseconds);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
   /**
    * Gets distribution statistics
+   * @param {Array} points - Selected points, in story order
+   * @param {Object} selection - Selection summary from distributePoints (strategy, coverage, gaps asked for)
    * @private
    */
-  getDistributionStats(points) {
+  getDistributionStats(points, selection = null) {
     const stats = {
       total: points.length,
       byCategory: {},
       byConfidence: {},
-      avgSpacing: 0
+      avgConfidence: 0,
+      avgSpacing: 0,
+      strategy: selection ? selection.strategy : this.config.selectionStrategy,
+      selection,
+      spacing: null
     };
     
     // Count by category
     points.forEach(point => {
       stats.byCategory[point.category] = (stats.byCategory[point.category] || 0) + 1;
-      stats.byConfidence[point.confidence] = (stats.byConfidence[point.confidence] || 0) + 1;
+      stats.byConfidence[point.confidenceLabel] = (stats.byConfidence[point.confidenceLabel] || 0) + 1;
     });
     
+    if (points.length > 0) {
+      stats.avgConfidence = Math.round(points.reduce((sum, point) => sum + point.confidence, 0) / points.length * 100) / 100;
+    }
+    
     // Calculate average spacing
     if (points.length > 1) {
       let totalSpacing = 0;
@@ -438,6 +1407,23 @@ export class DecisionPointDetector {
       stats.avgSpacing = totalSpacing / (points.length - 1);
     }
     
+    // Gaps in words; evenness is 1 when every gap is the same and falls as they vary
+    const positions = points.map(point => point.metadata && point.metadata.wordPosition).filter(Number.isFinite);
+    if (positions.length > 1) {
+      const gaps = positions.slice(1).map((position, index) => position - positions[index]);
+      const mean = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+      const deviation = Math.sqrt(gaps.reduce((sum, gap) => sum + (gap - mean) ** 2, 0) / gaps.length);
+      stats.spacing = {
+        shortestGapWords: Math.min(...gaps),
+        longestGapWords: Math.max(...gaps),
+        avgGapWords: Math.round(mean),
+        evenness: mean > 0 ? Math.round(Math.max(0, 1 - deviation / mean) * 100) / 100 : 0,
+        lastPointAt: selection && selection.totalWords
+          ? Math.round(positions[positions.length - 1] / selection.totalWords * 100) / 100
+          : null
+      };
+    }
+    
     return stats;
   }
 }
\ No newline at end of file
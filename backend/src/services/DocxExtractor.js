@@ -0,0 +1,151 @@
+import JSZip from 'jszip';
+import { decodeEntities } from '../utils/markup.js';
+import { assembleChapters } from '../utils/chapters.js';
+import logger from '../utils/logger.js';
+
+/**
+ * DocxExtractor - Reads Word manuscripts (.docx)
+ * Keeps paragraph breaks, uses Heading 1/2 paragraphs as chapter markers and
+ * ignores tracked deletions and comment metadata
+ */
+export class DocxExtractor {
+  constructor(config = {}) {
+    this.config = {
+      chapterHeadingLevels: config.chapterHeadingLevels || [1, 2],
+      ...config
+    };
+  }
+
+  /**
+   * Extracts text and chapter structure from a DOCX buffer
+   * @param {Buffer} buffer - Raw DOCX file contents
+   * @returns {Promise<Object>} { text, chapters, metadata }
+   */
+  async extract(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const documentEntry = zip.file('word/document.xml');
+    if (!documentEntry) {
+      throw new Error('Invalid DOCX: missing word/document.xml');
+    }
+
+    const documentXml = await documentEntry.async('string');
+    const stylesEntry = zip.file('word/styles.xml');
+    const headingStyles = this.parseHeadingStyles(stylesEntry ? await stylesEntry.async('string') : '');
+
+    const paragraphs = this.parseParagraphs(documentXml, headingStyles);
+    const { text, chapters } = assembleChapters(paragraphs, this.config.chapterHeadingLevels);
+
+    const metadata = {
+      paragraphs: paragraphs.length,
+      headings: paragraphs.filter(paragraph => paragraph.headingLevel).length,
+      title: await this.readCoreProperty(zip, 'dc:title'),
+      author: await this.readCoreProperty(zip, 'dc:creator')
+    };
+
+    logger.debug('DOCX extraction completed', {
+      chapters: chapters ? chapters.length : 0,
+      characters: text.length,
+      ...metadata
+    });
+
+    return { text, chapters, metadata };
+  }
+
+  /**
+   * Maps style ids to heading levels using style names ("heading 1") and outline levels
+   * @private
+   */
+  parseHeadingStyles(stylesXml) {
+    const headingStyles = new Map();
+    const stylePattern = /<w:style\b([^>]*)>([\s\S]*?)<\/w:style>/g;
+    let match;
+
+    while ((match = stylePattern.exec(stylesXml)) !== null) {
+      const styleId = (match[1].match(/w:styleId="([^"]+)"/) || [])[1];
+      const name = (match[2].match(/<w:name\s+w:val="([^"]+)"/) || [])[1] || '';
+      const outline = (match[2].match(/<w:outlineLvl\s+w:val="(\d+)"/) || [])[1];
+      if (!styleId) continue;
+
+      const nameLevel = (name.match(/^heading\s*(\d)$/i) || [])[1];
+      const level = nameLevel ? Number(nameLevel) : outline !== undefined ? Number(outline) + 1 : null;
+      if (level) headingStyles.set(styleId, level);
+    }
+
+    return headingStyles;
+  }
+
+  /**
+   * Parses body paragraphs into { text, headingLevel }
+   * @private
+   */
+  parseParagraphs(documentXml, headingStyles) {
+    const body = documentXml
+      // Tracked deletions and moved-away text are not part of the current draft
+      .replace(/<w:(del|moveFrom)\b[^>]*\/>/g, '')
+      .replace(/<w:(del|moveFrom)\b[^>]*>[\s\S]*?<\/w:\1>/g, '')
+      // Previous formatting of tracked changes
+      .replace(/<w:(pPrChange|rPrChange|sectPrChange|tblPrChange)\b[\s\S]*?<\/w:\1>/g, '')
+      // Alternate renderings duplicate their content
+      .replace(/<mc:Fallback>[\s\S]*?<\/mc:Fallback>/g, '');
+
+    const paragraphs = [];
+    const paragraphPattern = /<w:p\b[^>]*?(?:\/>|>([\s\S]*?)<\/w:p>)/g;
+    let match;
+
+    while ((match = paragraphPattern.exec(body)) !== null) {
+      const content = match[1] || '';
+      const styleId = (content.match(/<w:pStyle\s+w:val="([^"]+)"/) || [])[1];
+      const outline = (content.match(/<w:pPr>[\s\S]*?<w:outlineLvl\s+w:val="(\d+)"/) || [])[1];
+      const headingLevel = headingStyles.get(styleId) ||
+        (outline !== undefined ? Number(outline) + 1 : null);
+
+      paragraphs.push({
+        text: this.paragraphText(content),
+        headingLevel
+      });
+    }
+
+    return paragraphs.filter(paragraph => paragraph.text);
+  }
+
+  /**
+   * Collects the visible run text of a paragraph (comments and field codes excluded)
+   * @private
+   */
+  paragraphText(content) {
+    const runs = content
+      .replace(/<w:pPr>[\s\S]*?<\/w:pPr>/g, '')
+      .replace(/<w:instrText\b[^>]*>[\s\S]*?<\/w:instrText>/g, '')
+      .replace(/<w:(commentRangeStart|commentRangeEnd|commentReference)\b[^>]*\/>/g, '');
+
+    let text = '';
+    const tokenPattern = /<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>|<w:(tab|br|cr|noBreakHyphen)\b[^>]*\/>/g;
+    let match;
+
+    while ((match = tokenPattern.exec(runs)) !== null) {
+      if (match[1] !== undefined) {
+        text += decodeEntities(match[1]);
+      } else if (match[2] === 'tab') {
+        text += ' ';
+      } else if (match[2] === 'noBreakHyphen') {
+        text += '-';
+      } else {
+        text += '\n';
+      }
+    }
+
+    return text.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim();
+  }
+
+  /**
+   * Reads a field from docProps/core.xml
+   * @private
+   */
+  async readCoreProperty(zip, tag) {
+    const entry = zip.file('docProps/core.xml');
+    if (!entry) return null;
+    const xml = await entry.async('string');
+    const match = xml.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`));
+    return match && match[1].trim() ? decodeEntities(match[1]).trim() : null;
+  }
+}
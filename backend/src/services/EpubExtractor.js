@@ -0,0 +1,341 @@
+import path from 'path';
+import JSZip from 'jszip';
+import { decodeEntities, firstElementText, stripMarkup } from '../utils/markup.js';
+import logger from '../utils/logger.js';
+
+/**
+ * EpubExtractor - Unpacks EPUB containers into plain text
+ * Follows the OPF spine order and turns spine items / navigation entries into chapter boundaries
+ */
+export class EpubExtractor {
+  constructor(config = {}) {
+    this.config = {
+      includeNonLinear: config.includeNonLinear || false,
+      ...config
+    };
+  }
+
+  /**
+   * Extracts text and chapter structure from an EPUB buffer
+   * @param {Buffer} buffer - Raw EPUB file contents
+   * @returns {Promise<Object>} { text, chapters, metadata }
+   */
+  async extract(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+
+    const opfPath = await this.findPackagePath(zip);
+    const opf = await this.readEntry(zip, opfPath);
+    const baseDir = path.posix.dirname(opfPath);
+
+    const manifest = this.parseManifest(opf, baseDir);
+    const spine = this.parseSpine(opf, manifest);
+    const navEntries = await this.readNavigation(zip, opf, manifest);
+
+    const chapters = [];
+    let text = '';
+
+    for (const item of spine) {
+      const markup = await this.readEntry(zip, item.path);
+      const segments = this.splitSpineItem(markup, navEntries.filter(entry => entry.path === item.path));
+
+      for (const segment of segments) {
+        let body = stripMarkup(segment.markup);
+        if (!body) continue;
+
+        const title = segment.title ||
+          firstElementText(segment.markup, 'h[1-3]') ||
+          `Section ${chapters.length + 1}`;
+        body = this.dropLeadingTitle(body, title);
+        if (!body) continue;
+
+        // Each chapter is written as "title\n\nbody" so the heading stays visible in the text
+        text += (text ? '\n\n' : '') + title + '\n\n';
+        const startChar = text.length;
+        text += body;
+
+        chapters.push({
+          title,
+          startChar,
+          endChar: text.length,
+          source: segment.fromNav ? 'nav' : 'spine',
+          href: item.href
+        });
+      }
+    }
+
+    const metadata = {
+      title: this.readMetadataField(opf, 'title'),
+      author: this.readMetadataField(opf, 'creator'),
+      language: this.readMetadataField(opf, 'language'),
+      spineItems: spine.length,
+      navEntries: navEntries.length
+    };
+
+    logger.debug('EPUB extraction completed', {
+      chapters: chapters.length,
+      characters: text.length,
+      ...metadata
+    });
+
+    return { text, chapters, metadata };
+  }
+
+  /**
+   * Locates the OPF package document via META-INF/container.xml
+   * @private
+   */
+  async findPackagePath(zip) {
+    const container = await this.readEntry(zip, 'META-INF/container.xml');
+    const match = container.match(/<rootfile\b[^>]*\bfull-path\s*=\s*["']([^"']+)["']/i);
+    if (!match) {
+      throw new Error('Invalid EPUB: container.xml does not reference a package document');
+    }
+    return this.decodeHref(match[1]);
+  }
+
+  /**
+   * Reads a zip entry as UTF-8 text
+   * @private
+   */
+  async readEntry(zip, entryPath) {
+    const entry = zip.file(entryPath);
+    if (!entry) {
+      throw new Error(`Invalid EPUB: missing ${entryPath}`);
+    }
+    return entry.async('string');
+  }
+
+  /**
+   * Parses manifest items keyed by id
+   * @private
+   */
+  parseManifest(opf, baseDir) {
+    const manifest = new Map();
+    const itemPattern = /<item\b([^>]*?)\/?>/gi;
+    let match;
+
+    while ((match = itemPattern.exec(opf)) !== null) {
+      const attributes = this.parseAttributes(match[1]);
+      if (!attributes.id || !attributes.href) continue;
+
+      const href = this.decodeHref(attributes.href);
+      manifest.set(attributes.id, {
+        id: attributes.id,
+        href,
+        path: path.posix.normalize(path.posix.join(baseDir, href)),
+        mediaType: attributes['media-type'] || '',
+        properties: (attributes.properties || '').split(/\s+/).filter(Boolean)
+      });
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Resolves spine itemrefs to manifest entries in reading order
+   * @private
+   */
+  parseSpine(opf, manifest) {
+    const spineMatch = opf.match(/<spine\b[^>]*>([\s\S]*?)<\/spine>/i);
+    if (!spineMatch) {
+      throw new Error('Invalid EPUB: package document has no spine');
+    }
+
+    const spine = [];
+    const itemrefPattern = /<itemref\b([^>]*?)\/?>/gi;
+    let match;
+
+    while ((match = itemrefPattern.exec(spineMatch[1])) !== null) {
+      const attributes = this.parseAttributes(match[1]);
+      const item = manifest.get(attributes.idref);
+      if (!item) continue;
+      if (attributes.linear === 'no' && !this.config.includeNonLinear) continue;
+      if (!/html/i.test(item.mediaType)) continue;
+      spine.push(item);
+    }
+
+    return spine;
+  }
+
+  /**
+   * Reads navigation entries from the EPUB 3 nav document or the EPUB 2 NCX
+   * @private
+   */
+  async readNavigation(zip, opf, manifest) {
+    try {
+      const navItem = [...manifest.values()].find(item => item.properties.includes('nav'));
+      if (navItem) {
+        const nav = await this.readEntry(zip, navItem.path);
+        return this.parseNavDocument(nav, path.posix.dirname(navItem.path));
+      }
+
+      const tocId = (opf.match(/<spine\b[^>]*\btoc\s*=\s*["']([^"']+)["']/i) || [])[1];
+      const ncxItem = manifest.get(tocId) ||
+        [...manifest.values()].find(item => item.mediaType === 'application/x-dtbncx+xml');
+      if (ncxItem) {
+        const ncx = await this.readEntry(zip, ncxItem.path);
+        return this.parseNcx(ncx, path.posix.dirname(ncxItem.path));
+      }
+    } catch (error) {
+      logger.warn('EPUB navigation could not be read, using spine items only', {
+        error: error.message
+      });
+    }
+
+    return [];
+  }
+
+  /**
+   * Parses the table of contents of an EPUB 3 navigation document
+   * @private
+   */
+  parseNavDocument(nav, baseDir) {
+    const tocMatch = nav.match(/<nav\b[^>]*epub:type\s*=\s*["'][^"']*\btoc\b[^"']*["'][^>]*>([\s\S]*?)<\/nav>/i);
+    const toc = tocMatch ? tocMatch[1] : nav;
+    const entries = [];
+    const linkPattern = /<a\b([^>]*)>([\s\S]*?)<\/a>/gi;
+    let match;
+
+    while ((match = linkPattern.exec(toc)) !== null) {
+      const { href } = this.parseAttributes(match[1]);
+      const title = stripMarkup(match[2]).replace(/\s+/g, ' ').trim();
+      if (href && title) {
+        entries.push(this.resolveNavTarget(href, title, baseDir));
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Parses navPoints of an EPUB 2 NCX document
+   * @private
+   */
+  parseNcx(ncx, baseDir) {
+    const entries = [];
+    const navPointPattern = /<navLabel>\s*<text>([\s\S]*?)<\/text>\s*<\/navLabel>\s*<content\b([^>]*?)\/?>/gi;
+    let match;
+
+    while ((match = navPointPattern.exec(ncx)) !== null) {
+      const { src } = this.parseAttributes(match[2]);
+      const title = decodeEntities(match[1]).replace(/\s+/g, ' ').trim();
+      if (src && title) {
+        entries.push(this.resolveNavTarget(src, title, baseDir));
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Resolves a navigation href into a zip path and fragment id
+   * @private
+   */
+  resolveNavTarget(href, title, baseDir) {
+    const [file, fragment] = this.decodeHref(href).split('#');
+    return {
+      title,
+      path: path.posix.normalize(path.posix.join(baseDir, file)),
+      fragment: fragment || null
+    };
+  }
+
+  /**
+   * Splits a spine item at the anchors its navigation entries point to
+   * @private
+   */
+  splitSpineItem(markup, navEntries) {
+    if (navEntries.length === 0) {
+      return [{ markup, title: null, fromNav: false }];
+    }
+
+    // Locate each entry in the markup; entries without a fragment start at the top of the item
+    const cuts = navEntries
+      .map(entry => ({ entry, offset: this.findAnchorOffset(markup, entry.fragment) }))
+      .filter(cut => cut.offset >= 0)
+      .sort((a, b) => a.offset - b.offset)
+      .filter((cut, index, all) => index === 0 || cut.offset !== all[index - 1].offset);
+
+    if (cuts.length === 0) {
+      return [{ markup, title: navEntries[0].title, fromNav: true }];
+    }
+
+    const segments = [];
+    if (stripMarkup(markup.slice(0, cuts[0].offset))) {
+      segments.push({ markup: markup.slice(0, cuts[0].offset), title: null, fromNav: false });
+    }
+
+    cuts.forEach((cut, index) => {
+      const end = index + 1 < cuts.length ? cuts[index + 1].offset : markup.length;
+      segments.push({ markup: markup.slice(cut.offset, end), title: cut.entry.title, fromNav: true });
+    });
+
+    return segments;
+  }
+
+  /**
+   * Finds the offset of the tag carrying the given id
+   * @private
+   */
+  findAnchorOffset(markup, fragment) {
+    if (!fragment) {
+      const body = markup.search(/<body\b/i);
+      return body >= 0 ? body : 0;
+    }
+
+    const escaped = fragment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const idMatch = new RegExp(`\\b(id|name)\\s*=\\s*["']${escaped}["']`).exec(markup);
+    if (!idMatch) return -1;
+    return markup.lastIndexOf('<', idMatch.index);
+  }
+
+  /**
+   * Removes a heading that repeats the chapter title at the top of the body
+   * @private
+   */
+  dropLeadingTitle(body, title) {
+    const [firstParagraph, ...rest] = body.split('\n\n');
+    const normalize = value => value.replace(/\s+/g, ' ').trim().toLowerCase();
+    if (normalize(firstParagraph) === normalize(title)) {
+      return rest.join('\n\n').trim();
+    }
+    return body;
+  }
+
+  /**
+   * Reads a Dublin Core metadata field from the package document
+   * @private
+   */
+  readMetadataField(opf, field) {
+    const match = opf.match(new RegExp(`<dc:${field}\\b[^>]*>([\\s\\S]*?)</dc:${field}>`, 'i'));
+    return match ? decodeEntities(match[1]).trim() : null;
+  }
+
+  /**
+   * Percent-decodes an href, keeping it as written when it is not valid ("100%.xhtml")
+   * @private
+   */
+  decodeHref(href) {
+    try {
+      return decodeURIComponent(href);
+    } catch {
+      return href;
+    }
+  }
+
+  /**
+   * Parses XML attributes into a plain object
+   * @private
+   */
+  parseAttributes(source) {
+    const attributes = {};
+    const attributePattern = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let match;
+
+    while ((match = attributePattern.exec(source)) !== null) {
+      attributes[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+    }
+
+    return attributes;
+  }
+}
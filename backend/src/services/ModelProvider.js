@@ -0,0 +1,176 @@
+import logger from '../utils/logger.js';
+
+/**
+ * Model providers
+ * A provider answers a prompt with text: `complete({ system, prompt, maxTokens, temperature, signal })`
+ * resolves to `{ text, provider }`, and gives up when the AbortSignal fires. Services take a provider
+ * rather than a client so the model behind them can be swapped, or replaced by the offline mock.
+ *
+ * The agent's AIProviderClient comes from the ai-agents package, which is not part of this repository,
+ * so its interface can't be relied on here. This is the one method the services need from it; wrapping
+ * that client in an object with the same `complete` is all it takes to use it instead.
+ */
+
+// Words that point to a category when the mock reads a passage
+const MOCK_CATEGORY_CUES = {
+  'Moral & Ethical Crossroads': ['right', 'wrong', 'should', 'conscience', 'guilt', 'lie', 'honest', 'steal', 'fair'],
+  'Strategic or Tactical Choices': ['path', 'plan', 'way', 'route', 'either', 'hide', 'door', 'attack', 'escape'],
+  'Time-Pressure Scenarios': ['now', 'quick', 'quickly', 'hurry', 'late', 'before', 'instant', 'seconds', 'run'],
+  'Relationship & Trust Conflicts': ['trust', 'friend', 'betray', 'loyal', 'promise', 'believe', 'together', 'help'],
+  'Information & Knowledge Risks': ['secret', 'truth', 'tell', 'know', 'knew', 'hidden', 'reveal', 'told', 'news']
+};
+
+/**
+ * MockModelProvider - Deterministic offline provider
+ * Reads the prompt sections that DecisionPointDetector writes (Categories, Current category,
+ * Sentence, Context) and answers with JSON built from keyword counts, so the same prompt always
+ * gets the same answer
+ */
+export class MockModelProvider {
+  constructor(config = {}) {
+    this.name = 'mock';
+    this.config = {
+      latency: config.latency || 0, // milliseconds to wait before answering
+      ...config
+    };
+  }
+
+  /**
+   * Answers a prompt
+   * @param {Object} request - { system, prompt, maxTokens, temperature }
+   * @returns {Promise<Object>} { text, provider }
+   */
+  async complete(request) {
+    if (this.config.latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.config.latency));
+    }
+
+    const section = name => {
+      const match = request.prompt.match(new RegExp(`^${name}:\\s*(.*)$`, 'm'));
+      return match ? match[1].trim() : '';
+    };
+    const categories = [...request.prompt.matchAll(/^- ([^:\n]+): (.*)$/gm)]
+      .map(([, name, examples]) => ({ name: name.trim(), examples: examples.split(' | ') }));
+    const current = section('Current category');
+    const sentence = section('Sentence');
+    const words = section('Context').toLowerCase().match(/\p{L}+/gu) || [];
+
+    // The category whose cue words the passage uses most; ties keep the current category
+    let best = { name: current, hits: 0 };
+    for (const category of categories) {
+      const cues = MOCK_CATEGORY_CUES[category.name] || [];
+      const hits = words.filter(word => cues.includes(word)).length;
+      if (hits > best.hits) best = { name: category.name, hits };
+    }
+    const chosen = categories.find(category => category.name === best.name);
+    const type = best.name === current ? section('Current type') : (chosen ? chosen.examples[0] : 'Choice Point');
+
+    const text = JSON.stringify({
+      category: best.name,
+      type,
+      confidence: Math.min(0.9, 0.5 + best.hits * 0.1),
+      dilemma: `The choice: ${this.clip(sentence.replace(/["“”«»]/g, ''), 100)}`
+    });
+
+    return { text, provider: this.name };
+  }
+
+  /**
+   * Shortens text to whole words, marking the cut with an ellipsis
+   * @private
+   */
+  clip(text, length) {
+    const trimmed = text.trim();
+    if (trimmed.length <= length) return trimmed;
+    return `${trimmed.slice(0, trimmed.lastIndexOf(' ', length)).replace(/[,;:]$/, '')}…`;
+  }
+}
+
+/**
+ * AnthropicModelProvider - Claude through the Messages API
+ */
+export class AnthropicModelProvider {
+  constructor(config = {}) {
+    this.name = 'anthropic';
+    this.config = {
+      model: config.model || process.env.AI_MODEL || 'claude-3-5-sonnet-20241022',
+      endpoint: config.endpoint || 'https://api.anthropic.com/v1/messages',
+      maxTokens: config.maxTokens || Number(process.env.MAX_TOKENS_PER_REQUEST) || 4000,
+      ...config
+    };
+
+    // Kept off this.config, which gets logged
+    Object.defineProperty(this, 'apiKey', {
+      value: config.apiKey || process.env.CLAUDE_API_KEY,
+      enumerable: false
+    });
+    delete this.config.apiKey;
+  }
+
+  /**
+   * Answers a prompt
+   * @param {Object} request - { system, prompt, maxTokens, temperature, signal }
+   * @returns {Promise<Object>} { text, provider }
+   */
+  async complete(request) {
+    const response = await fetch(this.config.endpoint, {
+      method: 'POST',
+      signal: request.signal,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model: this.config.model,
+        max_tokens: Math.min(request.maxTokens || this.config.maxTokens, this.config.maxTokens),
+        temperature: request.temperature ?? 0,
+        system: request.system,
+        messages: [{ role: 'user', content: request.prompt }]
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Model request failed with status ${response.status}`);
+    }
+
+    const body = await response.json();
+    const text = (body.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return { text, provider: this.name };
+  }
+}
+
+/**
+ * Creates the provider named by AI_PROVIDER ("anthropic", "mock" or "none")
+ * Without AI_PROVIDER there is no provider, so points are kept as detected; the mock is only
+ * used when asked for, as its answers come from keyword counts rather than a model. A provider
+ * that can't be set up (unknown name, no API key) is logged and treated as "none".
+ * @param {Object} options - { provider } to override AI_PROVIDER, plus the provider's own config
+ * @returns {Object|null} Provider, or null for "none"
+ */
+export function createModelProvider(options = {}) {
+  const { provider: requested, ...config } = options;
+  const apiKey = config.apiKey || process.env.CLAUDE_API_KEY;
+  const hasKey = Boolean(apiKey) && !apiKey.startsWith('your_');
+  const name = requested || process.env.AI_PROVIDER || 'none';
+
+  switch (name) {
+    case 'anthropic':
+      if (!hasKey) {
+        logger.warn('The anthropic model provider needs CLAUDE_API_KEY, points will not be refined');
+        return null;
+      }
+      return new AnthropicModelProvider(config);
+    case 'mock':
+      return new MockModelProvider(config);
+    case 'none':
+      return null;
+    default:
+      logger.warn('Unknown model provider, points will not be refined', { provider: name });
+      return null;
+  }
+}
@@ -149,9 +149,41 @@ export class PathConvergence {
       });
     });
     
-    // 2. Every N scenes to prevent excessive branching
+    // 2. At scene breaks and point-of-view shifts inside chapters
+    originalChunks
+      .filter(chunk => chunk.metadata.isSceneEnd && !chunk.metadata.isChapterEnd)
+      .forEach(chunk => {
+        const next = originalChunks[chunk.index + 1];
+        const povShift = Boolean(next && next.metadata.povShift);
+        
+        convergencePoints.push({
+          id: `convergence_scene_${chunk.index}`,
+          type: 'scene_boundary',
+          afterSceneIndex: chunk.index,
+          sceneId: chunk.sceneId,
+          reason: povShift ? 'Point-of-view shift' : 'Natural scene break'
+        });
+      });
+    
+    // 3. Where the story moves to another place
+    const locationChanges = originalChunks
+      .filter(chunk => chunk.metadata.settingChange && chunk.index > 0)
+      .map(chunk => chunk.index - 1);
+    
+    locationChanges.forEach(index => {
+      convergencePoints.push({
+        id: `convergence_location_${index}`,
+        type: 'location_change',
+        afterSceneIndex: index,
+        setting: originalChunks[index + 1].setting,
+        reason: 'Change of setting'
+      });
+    });
+    
+    // 4. Every N scenes to prevent excessive branching, unless a change of setting is close by
     const convergenceInterval = Math.max(3, Math.floor(totalScenes / 5));
     for (let i = convergenceInterval; i < totalScenes; i += convergenceInterval) {
+      if (locationChanges.some(index => Math.abs(index - i) <= 1)) continue;
       convergencePoints.push({
         id: `convergence_periodic_${i}`,
         type: 'periodic',
@@ -160,7 +192,7 @@ export class PathConvergence {
       });
     }
     
-    // 3. Before the ending (last 2-3 scenes)
+    // 5. Before the ending (last 2-3 scenes)
     if (totalScenes > 3) {
       convergencePoints.push({
         id: 'convergence_pre_ending',
@@ -0,0 +1,254 @@
+import pdfjs from 'pdfjs-dist/legacy/build/pdf.js';
+import logger from '../utils/logger.js';
+
+/**
+ * PdfExtractor - Extracts running text from PDF books
+ * Rebuilds lines and paragraphs from positioned text items, drops running
+ * headers/footers and page numbers, and joins words hyphenated across lines
+ */
+export class PdfExtractor {
+  constructor(config = {}) {
+    this.config = {
+      lineTolerance: config.lineTolerance || 2, // points between baselines treated as one line
+      paragraphGapRatio: config.paragraphGapRatio || 1.5, // gap relative to normal line spacing
+      marginLines: config.marginLines || 2, // lines at top/bottom checked for running heads
+      repeatThreshold: config.repeatThreshold || 0.5, // share of pages a running head must appear on
+      ...config
+    };
+  }
+
+  /**
+   * Extracts text from a PDF buffer
+   * @param {Buffer} buffer - Raw PDF file contents
+   * @returns {Promise<Object>} { text, chapters, metadata }
+   */
+  async extract(buffer) {
+    const document = await pdfjs.getDocument({
+      data: new Uint8Array(buffer),
+      isEvalSupported: false,
+      useSystemFonts: false,
+      disableFontFace: true,
+      verbosity: 0
+    }).promise;
+
+    try {
+      const pages = [];
+      for (let pageNumber = 1; pageNumber <= document.numPages; pageNumber++) {
+        const page = await document.getPage(pageNumber);
+        const content = await page.getTextContent();
+        pages.push(this.buildLines(content.items));
+        page.cleanup();
+      }
+
+      const { pages: bodyPages, removed } = this.removePageFurniture(pages);
+      const text = this.buildParagraphs(bodyPages);
+
+      logger.debug('PDF extraction completed', {
+        pages: pages.length,
+        removedLines: removed,
+        characters: text.length
+      });
+
+      return {
+        text,
+        chapters: null,
+        metadata: {
+          pages: pages.length,
+          removedLines: removed
+        }
+      };
+    } finally {
+      await document.destroy();
+    }
+  }
+
+  /**
+   * Groups positioned text items into lines ordered top to bottom
+   * @private
+   */
+  buildLines(items) {
+    const lines = [];
+
+    for (const item of items) {
+      if (!item.str || !item.str.trim()) continue;
+
+      const x = item.transform[4];
+      const y = item.transform[5];
+      const height = item.height || Math.abs(item.transform[3]) || 10;
+      let line = lines.find(candidate => Math.abs(candidate.y - y) <= this.config.lineTolerance);
+
+      if (!line) {
+        line = { y, x, height, items: [] };
+        lines.push(line);
+      }
+      line.items.push({ x, width: item.width || 0, str: item.str });
+      line.x = Math.min(line.x, x);
+      line.height = Math.max(line.height, height);
+    }
+
+    return lines
+      .sort((a, b) => b.y - a.y)
+      .map(line => {
+        line.items.sort((a, b) => a.x - b.x);
+        let text = '';
+        let previousEnd = null;
+
+        for (const item of line.items) {
+          // Insert a space when items are visually separated and neither side already has one
+          if (previousEnd !== null && item.x - previousEnd > line.height * 0.15 &&
+              !text.endsWith(' ') && !item.str.startsWith(' ')) {
+            text += ' ';
+          }
+          text += item.str;
+          previousEnd = item.x + item.width;
+        }
+
+        return { text: text.replace(/\s+/g, ' ').trim(), x: line.x, y: line.y, height: line.height };
+      })
+      .filter(line => line.text);
+  }
+
+  /**
+   * Removes running headers/footers and page numbers from the top and bottom of each page
+   * @private
+   */
+  removePageFurniture(pages) {
+    const marginLines = this.config.marginLines;
+    const signature = text => text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+    const counts = new Map();
+
+    // Count how many pages each margin line appears on (page numbers normalized away)
+    pages.forEach(lines => {
+      const seen = new Set();
+      [...lines.slice(0, marginLines), ...lines.slice(-marginLines)].forEach(line => {
+        seen.add(signature(line.text));
+      });
+      seen.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+    });
+
+    const minRepeats = Math.max(3, Math.ceil(pages.length * this.config.repeatThreshold));
+    const isRunningHead = line => pages.length >= 3 && counts.get(signature(line.text)) >= minRepeats;
+    let removed = 0;
+
+    const cleanedPages = pages.map(lines => lines.filter((line, index) => {
+      const inBottomMargin = index >= lines.length - marginLines;
+      const inMargin = index < marginLines || inBottomMargin;
+      if (inMargin && (this.isPageNumber(line.text, inBottomMargin) || isRunningHead(line))) {
+        removed++;
+        return false;
+      }
+      return true;
+    }));
+
+    return { pages: cleanedPages, removed };
+  }
+
+  /**
+   * Checks whether a line is only a page number ("12", "- 12 -", "Page 3 of 10", "xiv")
+   * A bare roman numeral is also how chapters are headed ("IV"), so it only counts at the
+   * bottom of a page or with "page" or "of N" around it
+   * @private
+   */
+  isPageNumber(text, inBottomMargin = false) {
+    if (/^[-–—\s]*(page\s+)?\d+(\s*(of|\/)\s*\d+)?[-–—\s]*$/i.test(text)) return true;
+
+    const roman = text.match(/^[-–—\s]*(page\s+)?[ivx]{1,5}(\s*(?:of|\/)\s*\d+)?[-–—\s]*$/i);
+    return Boolean(roman) && (inBottomMargin || Boolean(roman[1]) || Boolean(roman[2]));
+  }
+
+  /**
+   * Joins lines into paragraphs, carrying paragraphs across page breaks
+   * @private
+   */
+  buildParagraphs(pages) {
+    const paragraphs = [];
+    let current = '';
+
+    const flush = () => {
+      if (current.trim()) paragraphs.push(current.trim());
+      current = '';
+    };
+
+    const leftMargin = this.bodyLeftMargin(pages);
+
+    pages.forEach(lines => {
+      const spacing = this.typicalLineSpacing(lines);
+
+      lines.forEach((line, index) => {
+        const previous = lines[index - 1];
+        let startsParagraph = false;
+
+        if (previous) {
+          const gap = previous.y - line.y;
+          const indented = line.x - leftMargin > line.height * 0.8;
+          startsParagraph = gap > spacing * this.config.paragraphGapRatio || indented;
+        } else if (current) {
+          // First line of a page: continue the previous paragraph unless it had clearly ended
+          startsParagraph = this.endsSentence(current) && /^[^a-z]/.test(line.text) &&
+            line.x - leftMargin > line.height * 0.8;
+        }
+
+        if (startsParagraph) flush();
+        current = this.appendLine(current, line.text);
+      });
+    });
+
+    flush();
+    return paragraphs.join('\n\n');
+  }
+
+  /**
+   * Appends a line to a paragraph, removing end-of-line hyphenation
+   * @private
+   */
+  appendLine(paragraph, line) {
+    if (!paragraph) return line;
+
+    // "adven-" + "ture" -> "adventure"; keep real compounds such as "Anglo-" + "Saxon"
+    if (/[A-Za-z]-$/.test(paragraph) && /^[a-z]/.test(line)) {
+      return paragraph.slice(0, -1) + line;
+    }
+    if (paragraph.endsWith('\u00ad')) {
+      return paragraph.slice(0, -1) + line;
+    }
+    return `${paragraph} ${line}`;
+  }
+
+  /**
+   * Checks whether text ends with sentence-final punctuation
+   * @private
+   */
+  endsSentence(text) {
+    return /[.!?…]["'”’)\]]*$/.test(text.trim());
+  }
+
+  /**
+   * Finds the most common line start across the document, i.e. the unindented text margin
+   * @private
+   */
+  bodyLeftMargin(pages) {
+    const starts = {};
+    pages.flat().forEach(line => {
+      const x = Math.round(line.x);
+      starts[x] = (starts[x] || 0) + 1;
+    });
+
+    const [mostCommon] = Object.entries(starts).sort((a, b) => b[1] - a[1]);
+    return mostCommon ? Number(mostCommon[0]) : 0;
+  }
+
+  /**
+   * Finds the most common distance between consecutive lines on a page
+   * @private
+   */
+  typicalLineSpacing(lines) {
+    const gaps = {};
+    for (let i = 1; i < lines.length; i++) {
+      const gap = Math.round(lines[i - 1].y - lines[i].y);
+      if (gap > 0) gaps[gap] = (gaps[gap] || 0) + 1;
+    }
+
+    const [mostCommon] = Object.entries(gaps).sort((a, b) => b[1] - a[1]);
+    return mostCommon ? Number(mostCommon[0]) : (lines[0]?.height || 12) * 1.2;
+  }
+}
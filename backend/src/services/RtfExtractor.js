@@ -0,0 +1,221 @@
+import iconv from 'iconv-lite';
+import { assembleChapters } from '../utils/chapters.js';
+import logger from '../utils/logger.js';
+
+// Destinations whose content is never part of the manuscript text
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'headerl', 'headerr',
+  'headerf', 'footer', 'footerl', 'footerr', 'footerf', 'footnote', 'annotation', 'atnid',
+  'atnauthor', 'atndate', 'atnref', 'revtbl', 'listtable', 'listoverridetable', 'rsidtbl',
+  'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'latentstyles', 'datastore',
+  'fldinst', 'bkmkstart', 'bkmkend', 'field-instructions'
+]);
+
+// Control words that map to a single character
+const SYMBOLS = {
+  tab: ' ',
+  emdash: '—',
+  endash: '–',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+  bullet: '•',
+  emspace: ' ',
+  enspace: ' ',
+  qmspace: ' ',
+  line: '\n'
+};
+
+/**
+ * RtfExtractor - Reads Rich Text Format manuscripts
+ * Keeps paragraph breaks, uses heading styles / outline levels as chapter markers and
+ * skips comments, tracked deletions and other non-text destinations
+ */
+export class RtfExtractor {
+  constructor(config = {}) {
+    this.config = {
+      chapterHeadingLevels: config.chapterHeadingLevels || [1, 2],
+      ...config
+    };
+  }
+
+  /**
+   * Extracts text and chapter structure from an RTF buffer
+   * @param {Buffer} buffer - Raw RTF file contents
+   * @returns {Promise<Object>} { text, chapters, metadata }
+   */
+  async extract(buffer) {
+    const source = buffer.toString('latin1');
+    if (!source.startsWith('{\\rtf')) {
+      throw new Error('Invalid RTF: missing {\\rtf header');
+    }
+
+    const headingStyles = this.parseHeadingStyles(source);
+    const decoder = this.createByteDecoder(source);
+    const paragraphs = this.parseParagraphs(source, headingStyles, decoder);
+    const { text, chapters } = assembleChapters(paragraphs, this.config.chapterHeadingLevels);
+
+    logger.debug('RTF extraction completed', {
+      paragraphs: paragraphs.length,
+      chapters: chapters ? chapters.length : 0,
+      characters: text.length
+    });
+
+    return {
+      text,
+      chapters,
+      metadata: {
+        encoding: decoder.encoding,
+        paragraphs: paragraphs.length,
+        headings: paragraphs.filter(paragraph => paragraph.headingLevel).length
+      }
+    };
+  }
+
+  /**
+   * Creates the decoder for \'hh escapes from the document code page (\ansicpgN)
+   * Only single-byte code pages are honoured; anything else falls back to Windows-1252
+   * @private
+   */
+  createByteDecoder(source) {
+    const codePage = (source.slice(0, 1024).match(/\\ansicpg(\d+)/) || [])[1];
+    const encoding = codePage === '10000' ? 'macintosh'
+      : /^(125\d|874)$/.test(codePage || '') ? `windows-${codePage}` : 'windows-1252';
+
+    return {
+      encoding,
+      decode: byte => iconv.decode(Buffer.of(byte), encoding)
+    };
+  }
+
+  /**
+   * Maps paragraph style numbers to heading levels from the stylesheet
+   * @private
+   */
+  parseHeadingStyles(source) {
+    const headingStyles = new Map();
+    const stylesheetStart = source.indexOf('{\\stylesheet');
+    if (stylesheetStart < 0) return headingStyles;
+
+    const stylePattern = /\{[^{}]*?\\s(\d+)\b([^{}]*?);\}/g;
+    stylePattern.lastIndex = stylesheetStart + 1;
+    const stylesheetEnd = this.findGroupEnd(source, stylesheetStart);
+    let match;
+
+    while ((match = stylePattern.exec(source)) !== null && match.index < stylesheetEnd) {
+      const name = match[2].replace(/\\[a-z]+-?\d* ?/gi, '').trim();
+      const nameLevel = (name.match(/^heading\s*(\d)$/i) || [])[1];
+      const outline = (match[2].match(/\\outlinelevel(\d)/) || [])[1];
+      const level = nameLevel ? Number(nameLevel) : outline !== undefined ? Number(outline) + 1 : null;
+      if (level) headingStyles.set(Number(match[1]), level);
+    }
+
+    return headingStyles;
+  }
+
+  /**
+   * Finds the index of the brace closing the group that opens at start
+   * @private
+   */
+  findGroupEnd(source, start) {
+    let depth = 0;
+    for (let i = start; i < source.length; i++) {
+      if (source[i] === '\\') {
+        i++;
+      } else if (source[i] === '{') {
+        depth++;
+      } else if (source[i] === '}' && --depth === 0) {
+        return i;
+      }
+    }
+    return source.length;
+  }
+
+  /**
+   * Walks the RTF token stream and collects paragraphs with their heading level
+   * @private
+   */
+  parseParagraphs(source, headingStyles, decoder) {
+    const paragraphs = [];
+    const stack = [];
+    let state = { skip: false, deleted: false, unicodeSkip: 1, styleLevel: null };
+    let current = '';
+    let pendingSkip = 0;
+
+    const endParagraph = () => {
+      const text = current.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim();
+      if (text) paragraphs.push({ text, headingLevel: state.styleLevel });
+      current = '';
+    };
+    const emit = value => {
+      if (pendingSkip > 0) {
+        pendingSkip--;
+        return;
+      }
+      if (!state.skip && !state.deleted) current += value;
+    };
+
+    const tokenPattern = /\\([a-z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/gi;
+    let match;
+
+    while ((match = tokenPattern.exec(source)) !== null) {
+      const [, word, param, hex, symbol, brace, literal] = match;
+
+      if (brace === '{') {
+        stack.push(state);
+        state = { ...state };
+      } else if (brace === '}') {
+        state = stack.pop() || state;
+      } else if (literal !== undefined) {
+        for (const char of literal) emit(char);
+      } else if (hex !== undefined) {
+        emit(decoder.decode(parseInt(hex, 16)));
+      } else if (symbol !== undefined) {
+        if (symbol === '*') {
+          state.skip = true; // unknown destinations marked \* are ignorable
+        } else if (symbol === '~') {
+          emit(' ');
+        } else if (symbol === '-') {
+          // optional hyphen
+        } else if (symbol === '_') {
+          emit('-');
+        } else if ('\\{}'.includes(symbol)) {
+          emit(symbol);
+        }
+      } else if (word !== undefined) {
+        const value = param !== undefined ? Number(param) : null;
+
+        if (SKIPPED_DESTINATIONS.has(word)) {
+          state.skip = true;
+        } else if (word === 'par' || word === 'sect' || word === 'page') {
+          if (!state.skip) endParagraph();
+        } else if (word === 'pard') {
+          state.styleLevel = null;
+        } else if (word === 's') {
+          state.styleLevel = headingStyles.get(value) || null;
+        } else if (word === 'outlinelevel') {
+          state.styleLevel = value + 1;
+        } else if (word === 'deleted') {
+          state.deleted = value !== 0;
+        } else if (word === 'plain') {
+          state.deleted = false;
+        } else if (word === 'uc') {
+          state.unicodeSkip = value ?? 1;
+        } else if (word === 'u') {
+          emit(String.fromCharCode(value < 0 ? value + 65536 : value));
+          pendingSkip = state.unicodeSkip;
+          continue;
+        } else if (SYMBOLS[word] !== undefined) {
+          emit(SYMBOLS[word]);
+        }
+      }
+
+      // Fallback characters after \u only replace literal text, never control words
+      if (word !== undefined || brace !== undefined) pendingSkip = 0;
+    }
+
+    endParagraph();
+    return paragraphs;
+  }
+}
@@ -1,11 +1,26 @@
 import logger from '../utils/logger.js';
+import { getLanguagePack } from '../utils/language.js';
+import { rankSentences } from '../utils/textRank.js';
+
+// Words a summary may hold per age band, not counting the lead-in
+const DEFAULT_SUMMARY_BUDGETS = { '6-8': 45, '8-10': 70, '10-12': 100, '12-14': 140 };
 
 /**
- * SceneSummarizer - Creates age-appropriate scene summaries using AI
+ * SceneSummarizer - Creates age-appropriate scene summaries
+ * A scene runs from the sentence after the previous decision point to the decision point.
+ * Its summary keeps the decision sentence and the lead-in before it, then adds the scene's
+ * most central sentences (TextRank) while they fit the age band's word budget, in story order.
+ * Sentences are kept or left out whole, never shortened.
  */
 export class SceneSummarizer {
   constructor(config = {}) {
-    this.config = config;
+    this.config = {
+      summaryBudgets: config.summaryBudgets || DEFAULT_SUMMARY_BUDGETS, // words per age band ("6-8": 45)
+      leadInSentences: config.leadInSentences ?? 1, // sentences before the decision point that are always kept
+      maxSceneSentences: config.maxSceneSentences || 60, // closing sentences of a long scene that are ranked
+      minSentenceWords: config.minSentenceWords || 4, // shorter sentences ("Tobias asked.") make poor filler
+      ...config
+    };
   }
 
   /**
@@ -26,28 +41,44 @@ export class SceneSummarizer {
 
     try {
       const summarizedScenes = [];
+      const sentences = this.storySentences(chunks);
+      const positions = decisionPoints.map(point => this.locatePoint(sentences, point));
       
-      for (const point of decisionPoints) {
+      decisionPoints.forEach((point, pointIndex) => {
         const chunk = chunks.find(c => c.id === point.chunkId);
-        if (!chunk) continue;
+        const position = positions[pointIndex];
+        if (!chunk || position < 0) return;
+        
+        // The scene starts after the closest decision point before this one
+        const previous = Math.max(-1, ...positions.filter(other => other < position));
+        const scene = sentences
+          .slice(Math.max(previous + 1, position + 1 - this.config.maxSceneSentences), position + 1)
+          .map(sentence => sentence.text);
+        const extract = this.createSummary(scene, targetAge, chunk.metadata.language);
         
-        // For MVP, create basic summaries
-        // In production, this would call the AI service
         const summary = {
           id: `scene_${point.id}`,
           decisionPointId: point.id,
           chunkId: chunk.id,
-          content: this.createBasicSummary(chunk, point, persona, targetAge),
+          content: extract.content,
+          setting: chunk.setting || null,
           metadata: {
             wordCount: chunk.wordCount,
             hasDialog: chunk.metadata.hasDialog,
+            speaker: point.speaker || null,
+            speakers: chunk.metadata.speakers || [],
+            characters: chunk.characters || [],
+            // Who the scene is about: the speaker at the decision point, else the POV or most mentioned character
+            focusCharacter: point.speaker || chunk.metadata.povCharacter || (chunk.characters || [])[0] || null,
             position: point.position,
-            persona: persona.name
+            pinned: Boolean(point.metadata && point.metadata.pinned),
+            persona: persona.name,
+            summary: extract.stats
           }
         };
         
         summarizedScenes.push(summary);
-      }
+      });
       
       logger.info('Scene summarization completed', {
         totalScenes: summarizedScenes.length
@@ -62,36 +93,94 @@ export class SceneSummarizer {
   }
 
   /**
-   * Creates a basic summary (placeholder for AI integration)
+   * Summarizes a scene
+   * @param {Array} scene - Sentences of the scene, ending with the decision sentence
+   * @param {string} targetAge - Age band, picks the word budget
+   * @param {string} language - Language code, for the stopwords TextRank ignores
+   * @returns {Object} { content, stats: { method, budgetWords, words, sentences, sourceSentences } }
    * @private
    */
-  createBasicSummary(chunk, decisionPoint, persona, targetAge) {
-    // Extract relevant context around the decision point
-    const sentences = chunk.sentences || [];
-    const pointIndex = decisionPoint.sentenceIndex;
+  createSummary(scene, targetAge, language) {
+    const budget = this.budgetFor(targetAge);
+    const countWords = sentence => sentence.split(/\s+/).filter(Boolean).length;
+    const leadStart = Math.max(0, scene.length - 1 - this.config.leadInSentences);
     
-    // Get 2-3 sentences before the decision point
-    const contextStart = Math.max(0, pointIndex - 2);
-    const contextEnd = Math.min(sentences.length, pointIndex + 1);
-    const contextSentences = sentences.slice(contextStart, contextEnd);
+    // The decision sentence and its lead-in explain the dilemma, so they stay whatever the budget
+    const kept = new Set();
+    for (let i = leadStart; i < scene.length; i++) kept.add(i);
+    let words = [...kept].reduce((sum, i) => sum + countWords(scene[i]), 0);
     
-    // Apply basic persona styling
-    let summary = contextSentences.join(' ');
-    
-    // Simplify for younger audiences
-    const minAge = parseInt(targetAge.split('-')[0]);
-    if (minAge <= 8) {
-      // Remove complex words and shorten sentences
-      summary = summary
-        .replace(/\b\w{10,}\b/g, match => match.substring(0, 8))
-        .replace(/[,;:]/g, '.')
-        .split('.')
-        .map(s => s.trim())
-        .filter(s => s.length > 0)
-        .slice(0, 3)
-        .join('. ') + '.';
+    // Then the most central sentences of the rest, while they fit
+    const earlier = scene.slice(0, leadStart);
+    const scores = rankSentences(earlier, { stopwords: getLanguagePack(language || 'en').stopwords });
+    const ranked = earlier
+      .map((sentence, i) => ({ i, score: scores[i], words: countWords(sentence) }))
+      .sort((a, b) => b.score - a.score || a.i - b.i);
+    for (const candidate of ranked) {
+      if (candidate.words < this.config.minSentenceWords || words + candidate.words > budget) continue;
+      kept.add(candidate.i);
+      words += candidate.words;
     }
     
-    return summary;
+    const chosen = [...kept].sort((a, b) => a - b);
+    return {
+      content: chosen.map(i => scene[i].trim()).join(' '),
+      stats: {
+        method: 'textrank',
+        budgetWords: budget,
+        words,
+        sentences: chosen.length,
+        sourceSentences: scene.length
+      }
+    };
+  }
+
+  /**
+   * Returns the word budget of an age band
+   * Bands missing from summaryBudgets use the closest band that starts at or below their youngest age
+   * @private
+   */
+  budgetFor(targetAge) {
+    const budgets = this.config.summaryBudgets;
+    if (budgets[targetAge]) return budgets[targetAge];
+    
+    const youngest = band => parseInt(String(band).split('-')[0], 10);
+    const bands = Object.keys(budgets).sort((a, b) => youngest(a) - youngest(b));
+    const below = bands.filter(band => youngest(band) <= youngest(targetAge));
+    return budgets[below.length > 0 ? below[below.length - 1] : bands[0]];
+  }
+
+  /**
+   * Lists the book's sentences in order, once each (overlapping chunks repeat some)
+   * @private
+   */
+  storySentences(chunks) {
+    const seen = new Set();
+    const sentences = [];
+    [...chunks].sort((a, b) => a.index - b.index).forEach(chunk => {
+      (chunk.sentences || []).forEach((text, sentenceIndex) => {
+        const offsets = (chunk.sentenceOffsets || [])[sentenceIndex];
+        if (offsets) {
+          if (seen.has(offsets.start)) return;
+          seen.add(offsets.start);
+        }
+        sentences.push({ text, chunkId: chunk.id, sentenceIndex, start: offsets ? offsets.start : null });
+      });
+    });
+    return sentences;
+  }
+
+  /**
+   * Finds a decision point's sentence in the story's sentences
+   * @returns {number} Index, or -1 when the point's sentence is missing
+   * @private
+   */
+  locatePoint(sentences, point) {
+    if (Number.isFinite(point.startChar)) {
+      const index = sentences.findIndex(sentence => sentence.start === point.startChar);
+      if (index >= 0) return index;
+    }
+    return sentences.findIndex(sentence =>
+      sentence.chunkId === point.chunkId && sentence.sentenceIndex === point.sentenceIndex);
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,146 @@
+import { SENTENCE_RULES } from '../utils/sentenceRules.js';
+import logger from '../utils/logger.js';
+
+// Rule sets by language code; extended through SentenceSegmenter.registerLanguage
+const languages = new Map(Object.entries(SENTENCE_RULES));
+
+/**
+ * SentenceSegmenter - Splits text into sentences with their character offsets
+ * Knows abbreviations ("Mr. Smith"), initials, ellipses and quoted dialog
+ * ("Run!" she said.) and takes its lexicon from a per-language rule set
+ */
+export class SentenceSegmenter {
+  constructor(config = {}) {
+    this.config = {
+      language: config.language || 'en',
+      ...config
+    };
+
+    this.setLanguage(this.config.language);
+  }
+
+  /**
+   * Adds or replaces the rules for a language
+   * @param {string} code - Language code ("en", "fr", ...)
+   * @param {Object} rules - { abbreviations, sentenceFinalAbbreviations, closingPunctuation, openingPunctuation }
+   */
+  static registerLanguage(code, rules) {
+    const base = languages.get('en');
+    languages.set(code, { ...base, ...rules });
+  }
+
+  /**
+   * Lists the languages that have a rule set
+   * @returns {Array<string>} Language codes
+   */
+  static getLanguages() {
+    return [...languages.keys()];
+  }
+
+  /**
+   * Switches the rule set used for segmentation (falls back to English)
+   * @param {string} code - Language code
+   */
+  setLanguage(code) {
+    if (!languages.has(code)) {
+      logger.warn('No sentence rules for language, falling back to English', { language: code });
+    }
+
+    const rules = languages.get(code) || languages.get('en');
+    this.language = languages.has(code) ? code : 'en';
+    this.rules = {
+      abbreviations: new Set(rules.abbreviations),
+      sentenceFinalAbbreviations: new Set(rules.sentenceFinalAbbreviations),
+      closingPunctuation: rules.closingPunctuation,
+      openingPunctuation: rules.openingPunctuation
+    };
+  }
+
+  /**
+   * Splits text into sentence strings
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Sentences
+   */
+  split(text) {
+    return this.segment(text).map(sentence => sentence.text);
+  }
+
+  /**
+   * Splits text into sentences with offsets
+   * @param {string} text - Text to split
+   * @returns {Array<Object>} Sentences as { text, start, end } (end exclusive)
+   */
+  segment(text) {
+    const sentences = [];
+    const candidatePattern = /[.!?…]+|\n[ \t]*\n/g;
+    let start = 0;
+    let match;
+
+    const pushSentence = end => {
+      const raw = text.slice(start, end);
+      const leading = raw.length - raw.trimStart().length;
+      const trimmed = raw.trim();
+      if (trimmed) {
+        sentences.push({ text: trimmed, start: start + leading, end: start + leading + trimmed.length });
+      }
+    };
+
+    while ((match = candidatePattern.exec(text)) !== null) {
+      // Paragraph breaks always end a sentence
+      if (match[0].startsWith('\n')) {
+        pushSentence(match.index);
+        start = match.index + match[0].length;
+        continue;
+      }
+
+      const end = this.findSentenceEnd(text, match.index, match[0]);
+      if (end !== null) {
+        pushSentence(end);
+        start = end;
+        candidatePattern.lastIndex = end;
+      }
+    }
+
+    pushSentence(text.length);
+    return sentences;
+  }
+
+  /**
+   * Decides whether the terminator run at index ends a sentence
+   * @returns {number|null} Offset just past the sentence (including closing quotes), or null
+   * @private
+   */
+  findSentenceEnd(text, index, terminator) {
+    // Closing quotes and brackets after the terminator belong to the sentence
+    let end = index + terminator.length;
+    while (end < text.length && this.rules.closingPunctuation.includes(text[end])) end++;
+
+    // "3.5", "U.S.A", "Hello.World" - no whitespace, no boundary
+    if (end < text.length && !/\s/.test(text[end])) return null;
+
+    // The next sentence has to start like one
+    const paragraphBreak = /\n[ \t]*\n/y;
+    let next = end;
+    while (next < text.length && /\s/.test(text[next])) {
+      paragraphBreak.lastIndex = next;
+      if (paragraphBreak.test(text)) return end;
+      next++;
+    }
+    while (next < text.length && this.rules.openingPunctuation.includes(text[next])) next++;
+    if (next >= text.length) return end;
+    if (!/[\p{Lu}\p{Lt}\p{N}]/u.test(text[next])) return null;
+
+    // A single period may belong to an abbreviation or an initial
+    if (terminator === '.') {
+      const token = (text.slice(Math.max(0, index - 30), index).match(/[\p{L}\p{N}.'°-]+$/u) || [''])[0];
+      const word = token.toLowerCase().replace(/^['-]+/, '');
+
+      if (this.rules.sentenceFinalAbbreviations.has(word)) return end; // "... and so on, etc. Then"
+      if (this.rules.abbreviations.has(word)) return null;
+      if (word.includes('.')) return null; // dotted abbreviations ("U.N. Secretary")
+      if (/^\p{Lu}$/u.test(token)) return null; // "J. R. R. Tolkien"
+    }
+
+    return end;
+  }
+}
@@ -0,0 +1,161 @@
+import logger from '../utils/logger.js';
+
+// Common nouns that name a setting ("the forest", "the old mill")
+const SETTING_NOUNS = [
+  'forest', 'woods', 'wood', 'river', 'lake', 'sea', 'ocean', 'beach', 'shore', 'island',
+  'mountain', 'mountains', 'hill', 'hills', 'valley', 'cave', 'desert', 'field', 'fields',
+  'meadow', 'garden', 'park', 'swamp', 'marsh', 'village', 'town', 'city', 'castle', 'palace',
+  'tower', 'house', 'home', 'cottage', 'cabin', 'hut', 'farm', 'barn', 'mill', 'dam', 'bridge',
+  'road', 'path', 'street', 'square', 'market', 'school', 'classroom', 'library', 'church',
+  'temple', 'inn', 'tavern', 'shop', 'bakery', 'kitchen', 'bedroom', 'hall', 'attic', 'cellar',
+  'basement', 'dungeon', 'ship', 'harbor', 'harbour', 'station', 'train', 'camp', 'clearing'
+];
+
+// Prepositions and verbs that put someone in a place, lowercase or starting a sentence
+const PLACE_CUES = [
+  'in', 'at', 'to', 'into', 'from', 'through', 'across', 'inside', 'outside', 'near', 'toward',
+  'towards', 'onto', 'under', 'beneath', 'behind', 'along', 'reached', 'entered', 'left',
+  'crossed', 'climbed'
+].map(cue => `[${cue[0].toUpperCase()}${cue[0]}]${cue.slice(1)}`).join('|');
+
+// Determiners before a setting noun
+const DETERMINERS = 'the|a|an|her|his|their|our|my|its';
+
+// Capitalized words that are never places
+const NON_PLACES = new Set([
+  'I', 'The', 'A', 'An', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday',
+  'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September',
+  'October', 'November', 'December', 'Christmas', 'Easter', 'God', 'Chapter'
+]);
+
+/**
+ * SettingExtractor - Finds the places of a story and where each chunk takes place
+ * Named places ("Hogsmeade", "the Silver Mountains") and common settings ("the forest")
+ * are picked up after place cues such as "in", "through" or "reached"
+ */
+export class SettingExtractor {
+  constructor(config = {}) {
+    this.config = {
+      minMentions: config.minMentions || 1,
+      maxLocations: config.maxLocations || 30,
+      ...config
+    };
+
+    this.namedPattern = new RegExp(
+      `\\b(?:${PLACE_CUES})\\s+(?:the\\s+)?([A-Z][a-z'-]+(?:\\s+(?:of\\s+)?[A-Z][a-z'-]+){0,3})`, 'g'
+    );
+    this.genericPattern = new RegExp(
+      `\\b(?:${PLACE_CUES})\\s+(?:${DETERMINERS})\\s+(?:[a-z-]+\\s+)?(${SETTING_NOUNS.join('|')})\\b`, 'g'
+    );
+  }
+
+  /**
+   * Extracts the locations of a book and tags every chunk with its setting
+   * @param {Array} chunks - Parsed chunks; each gets setting and metadata.settingChange
+   * @param {Array} characters - Character roster, whose names are never places
+   * @returns {Object} { locations }
+   */
+  extract(chunks, characters = []) {
+    logger.debug('Starting setting extraction', { chunkCount: chunks.length });
+
+    try {
+      const characterNames = new Set(characters.flatMap(character => character.aliases || [character.name]));
+      const locations = new Map();
+
+      // Places named after a place cue
+      for (const chunk of chunks) {
+        chunk.locationMentions = [];
+
+        for (const match of chunk.content.matchAll(this.namedPattern)) {
+          const name = match[1];
+          if (NON_PLACES.has(name.split(' ')[0]) || characterNames.has(name)) continue;
+          this.addMention(locations, chunk, name, 'named', match.index + match[0].length - name.length);
+        }
+
+        for (const match of chunk.content.matchAll(this.genericPattern)) {
+          this.addMention(locations, chunk, `the ${match[1].toLowerCase()}`, 'generic', match.index);
+        }
+      }
+
+      // Named places also count where they appear without a cue ("Millbrook slept")
+      for (const location of locations.values()) {
+        if (location.type !== 'named') continue;
+        const pattern = new RegExp(`\\b${location.name.replace(/\s+/g, '\\s+')}\\b`, 'g');
+
+        for (const chunk of chunks) {
+          for (const match of chunk.content.matchAll(pattern)) {
+            if (!chunk.locationMentions.some(mention => mention.name === location.name && mention.index === match.index)) {
+              this.addMention(locations, chunk, location.name, 'named', match.index, false);
+            }
+          }
+        }
+      }
+
+      const ranked = [...locations.values()]
+        .filter(location => location.mentionCount >= this.config.minMentions)
+        .sort((a, b) => b.mentionCount - a.mentionCount)
+        .slice(0, this.config.maxLocations);
+      ranked.forEach((location, index) => {
+        location.id = `location_${index}`;
+      });
+
+      this.assignSettings(chunks, new Set(ranked.map(location => location.name)));
+
+      logger.info('Setting extraction completed', {
+        locationCount: ranked.length,
+        settingChanges: chunks.filter(chunk => chunk.metadata.settingChange).length
+      });
+
+      return { locations: ranked };
+
+    } catch (error) {
+      logger.error('Setting extraction failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Records a mention of a place in a chunk
+   * @private
+   */
+  addMention(locations, chunk, name, type, index, cued = true) {
+    let location = locations.get(name);
+    if (!location) {
+      location = { name, type, mentionCount: 0, mentionsByChunk: {}, firstChunkIndex: chunk.index };
+      locations.set(name, location);
+    }
+
+    location.mentionCount++;
+    location.mentionsByChunk[chunk.id] = (location.mentionsByChunk[chunk.id] || 0) + 1;
+    chunk.locationMentions.push({ name, index, cued });
+  }
+
+  /**
+   * Sets chunk.setting to the place a chunk is in
+   * The most mentioned place wins (cued mentions first, later mentions break ties); chunks
+   * without one stay where the previous chunk was
+   * @private
+   */
+  assignSettings(chunks, known) {
+    let previous = null;
+
+    for (const chunk of chunks) {
+      const scores = new Map();
+      for (const mention of chunk.locationMentions) {
+        if (!known.has(mention.name)) continue;
+        const entry = scores.get(mention.name) || { score: 0, last: -1 };
+        entry.score += mention.cued ? 1 : 0.5;
+        entry.last = Math.max(entry.last, mention.index);
+        scores.set(mention.name, entry);
+      }
+      delete chunk.locationMentions;
+
+      const [best] = [...scores.entries()].sort((a, b) => b[1].score - a[1].score || b[1].last - a[1].last);
+      const setting = best ? best[0] : previous;
+
+      chunk.setting = setting;
+      chunk.metadata.settingChange = Boolean(previous && setting && setting !== previous);
+      previous = setting;
+    }
+  }
+}
@@ -0,0 +1,187 @@
+import logger from '../utils/logger.js';
+import { getLanguagePack } from '../utils/language.js';
+import { resolvePatternPacks } from '../utils/patternPacks.js';
+
+// How much each signal counts toward a chunk's tension
+const SIGNAL_WEIGHTS = {
+  lengthVariance: 0.15,
+  punctuation: 0.25,
+  dialogueBursts: 0.2,
+  actionVerbs: 0.25,
+  urgency: 0.15
+};
+
+// Quoted lines of dialog, in the quote styles the parser knows
+const DIALOG_LINE = /^["“«„—]/;
+
+/**
+ * Escapes text for use inside a regular expression
+ * @private
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * TensionAnalyzer - Scores how tense each chunk of a book reads
+ * A chunk's score mixes uneven sentence lengths, exclamations and questions, bursts of
+ * short dialog, action verbs and the urgency lexicon of the Time-Pressure pattern category.
+ * The curve rescales the scores across the book, so its peaks are the book's tensest stretches.
+ */
+export class TensionAnalyzer {
+  constructor(config = {}) {
+    this.config = {
+      peakThreshold: config.peakThreshold || 0.6, // lowest rescaled tension that counts as a peak
+      burstLineWords: config.burstLineWords || 12, // longest dialog line that still reads as a quick exchange
+      urgencyCategory: config.urgencyCategory || 'Time-Pressure Scenarios',
+      ...config
+    };
+
+    // Per-language matchers, built on first use
+    this.matchers = new Map();
+  }
+
+  /**
+   * Builds the tension curve of a book
+   * @param {Array} chunks - Parsed chunks (with sentences and metadata.language)
+   * @returns {Object} { curve, peaks, average } where curve has one entry per chunk and peaks lists chunk indexes
+   */
+  analyze(chunks) {
+    logger.debug('Starting tension analysis', { chunkCount: chunks.length });
+
+    try {
+      const scored = chunks.map(chunk => {
+        const signals = this.measure(chunk);
+        const score = Object.entries(SIGNAL_WEIGHTS).reduce((sum, [signal, weight]) => sum + signals[signal] * weight, 0);
+        return { chunk, signals, score };
+      });
+
+      // Rescale so the calmest chunk is 0 and the tensest 1; a flat book keeps its scores
+      const scores = scored.map(entry => entry.score);
+      const low = Math.min(...scores);
+      const high = Math.max(...scores);
+      const rescale = score => high - low > 0.01 ? (score - low) / (high - low) : score;
+
+      const curve = scored.map(({ chunk, signals, score }) => ({
+        chunkId: chunk.id,
+        chunkIndex: chunk.index,
+        sectionTitle: chunk.sectionTitle,
+        score: Math.round(score * 100) / 100,
+        tension: Math.round(rescale(score) * 100) / 100,
+        isPeak: false,
+        signals: Object.fromEntries(Object.entries(signals).map(([signal, value]) => [signal, Math.round(value * 100) / 100])),
+        decisionPointIds: []
+      }));
+
+      // A peak is at least as tense as both neighbours and above the threshold
+      curve.forEach((entry, index) => {
+        const before = curve[index - 1];
+        const after = curve[index + 1];
+        entry.isPeak = entry.tension >= this.config.peakThreshold &&
+          (!before || entry.tension >= before.tension) &&
+          (!after || entry.tension > after.tension);
+      });
+
+      const analysis = {
+        curve,
+        peaks: curve.filter(entry => entry.isPeak).map(entry => entry.chunkIndex),
+        average: curve.length > 0
+          ? Math.round(curve.reduce((sum, entry) => sum + entry.score, 0) / curve.length * 100) / 100
+          : 0
+      };
+
+      logger.info('Tension analysis completed', { chunkCount: curve.length, peaks: analysis.peaks.length });
+      return analysis;
+
+    } catch (error) {
+      logger.error('Tension analysis failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Marks on the curve which decision points fall in each chunk
+   * @param {Object} analysis - Result of analyze
+   * @param {Array} decisionPoints - Selected decision points
+   * @returns {Object} The same analysis
+   */
+  linkDecisionPoints(analysis, decisionPoints) {
+    analysis.curve.forEach(entry => {
+      entry.decisionPointIds = decisionPoints
+        .filter(point => point.chunkIndex === entry.chunkIndex)
+        .map(point => point.id);
+    });
+    return analysis;
+  }
+
+  /**
+   * Measures the tension signals of a chunk, each from 0 to 1
+   * @private
+   */
+  measure(chunk) {
+    const sentences = chunk.sentences || [];
+    const signals = { lengthVariance: 0, punctuation: 0, dialogueBursts: 0, actionVerbs: 0, urgency: 0 };
+    if (sentences.length === 0) return signals;
+
+    const matchers = this.matchersFor(chunk.metadata && chunk.metadata.language);
+    const lengths = sentences.map(sentence => sentence.split(/\s+/).filter(Boolean).length);
+    const words = lengths.reduce((sum, length) => sum + length, 0);
+
+    // Uneven sentences: short, clipped lines among long ones
+    const mean = words / sentences.length;
+    const deviation = Math.sqrt(lengths.reduce((sum, length) => sum + (length - mean) ** 2, 0) / sentences.length);
+    signals.lengthVariance = mean > 0 ? Math.min(1, deviation / mean / 1.5) : 0;
+
+    // Exclamations count fully, questions half
+    const marks = sentences.reduce((sum, sentence) =>
+      sum + (sentence.match(/!/g) || []).length + (sentence.match(/\?/g) || []).length * 0.5, 0);
+    signals.punctuation = Math.min(1, marks / sentences.length);
+
+    // Short dialog lines in a row are a quick exchange
+    let run = 0;
+    let burstLines = 0;
+    sentences.forEach((sentence, index) => {
+      const isBurstLine = DIALOG_LINE.test(sentence.trim()) && lengths[index] <= this.config.burstLineWords;
+      run = isBurstLine ? run + 1 : 0;
+      if (run === 2) burstLines += 2;
+      else if (run > 2) burstLines += 1;
+    });
+    signals.dialogueBursts = burstLines / sentences.length;
+
+    // Five action verbs per hundred words is as tense as prose gets
+    const text = sentences.join(' ');
+    const actions = matchers.actionVerbs ? (text.match(matchers.actionVerbs) || []).length : 0;
+    signals.actionVerbs = words > 0 ? Math.min(1, actions / words * 100 / 5) : 0;
+
+    // A couple of urgency phrases are enough to fill the signal
+    const urgent = sentences.filter(sentence => matchers.urgency.some(pattern => pattern.test(sentence))).length;
+    signals.urgency = Math.min(1, urgent / 2);
+
+    return signals;
+  }
+
+  /**
+   * Builds the action verb and urgency matchers of a language
+   * @private
+   */
+  matchersFor(code) {
+    const pack = getLanguagePack(code || 'en');
+    if (this.matchers.has(pack.code)) return this.matchers.get(pack.code);
+
+    const verbs = pack.actionVerbs || [];
+    const urgency = resolvePatternPacks()
+      .flatMap(patternPack => patternPack.categories)
+      .filter(category => category.name === this.config.urgencyCategory)
+      .flatMap(category => category.patterns[pack.code] || []);
+
+    const matchers = {
+      // Letters on either side would make it part of another word; \b only knows ASCII letters
+      actionVerbs: verbs.length > 0
+        ? new RegExp(`(?<!\\p{L})(${verbs.map(escapeRegExp).join('|')})(?!\\p{L})`, 'giu')
+        : null,
+      urgency
+    };
+    this.matchers.set(pack.code, matchers);
+    return matchers;
+  }
+}
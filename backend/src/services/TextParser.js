@@ -1,4 +1,21 @@
 import logger from '../utils/logger.js';
+import { normalizeUnicode } from '../utils/encoding.js';
+import { detectLanguage, getLanguagePack } from '../utils/language.js';
+import { createTextLocator } from '../utils/offsets.js';
+import { assertTokenizer, createApproximateTokenizer } from '../utils/tokenizer.js';
+import { DialogueAttributor } from './DialogueAttributor.js';
+import { SentenceSegmenter } from './SentenceSegmenter.js';
+
+// Marker paragraph that blank-line scene breaks are normalized to
+const SCENE_BREAK = '* * *';
+
+// Capitalized words that are never point-of-view characters
+const POV_STOPWORDS = new Set([
+  'I', 'Mr', 'Mrs', 'Ms', 'Miss', 'Dr', 'Sir', 'Lady', 'Lord', 'God', 'Chapter',
+  'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday',
+  'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+  'September', 'October', 'November', 'December', 'English', 'French', 'German'
+]);
 
 /**
  * TextParser - Handles text chunking and preprocessing
@@ -7,67 +24,219 @@ import logger from '../utils/logger.js';
 export class TextParser {
   constructor(config = {}) {
     this.config = {
-      maxChunkSize: config.maxChunkSize || 3000, // characters
+      maxTokensPerChunk: config.maxTokensPerChunk || 750, // chunk budget, counted by the tokenizer
+      maxChunkSize: config.maxChunkSize || null, // optional character cap on top of the token budget
       minChunkSize: config.minChunkSize || 500,
       overlapSize: config.overlapSize || 200,
       preserveSentences: config.preserveSentences !== false,
+      stripFrontMatter: config.stripFrontMatter !== false,
+      frontMatterRatio: config.frontMatterRatio || 0.2, // share of the book scanned for contents/dedication
+      blankLineSceneBreaks: config.blankLineSceneBreaks !== false, // two or more empty lines end a scene
+      language: config.language || 'auto', // language pack to read the book with; "auto" detects it per book
       ...config
     };
+    
+    this.segmenter = new SentenceSegmenter();
+    this.dialogueAttributor = new DialogueAttributor();
+    this.tokenizer = assertTokenizer(this.config.tokenizer || createApproximateTokenizer());
+    
+    // Chapter patterns common to all languages; named headings ("Chapter 1") come from the language pack
+    this.chapterPatterns = [
+      /^\d+\.\s+[A-Z]/m,
+      /^[A-Z][A-Z\s]{2,}$/m, // All caps titles
+      /^(?=[IVXL])(XC|XL|L?X{0,3})(IX|IV|V?I{0,3})\.?$/ // Bare roman numerals ("IV")
+    ];
+    
+    // Scene break markers on a line of their own: "* * *", "***", "#", "~~~", "⁂", "o0o"
+    this.sceneBreakPatterns = [
+      /^([*#~•·+=_\-–—]\s*){1,7}$/,
+      /^[⁂§❦✻✽]$/,
+      /^(o0o|oOo|xxx)$/i
+    ];
+    
+    // Headers naming the point-of-view character of the following scene
+    this.povHeaderPatterns = [
+      /^(?:POV|point of view)\s*[:\-–—]\s*([A-Z][\w'.-]*(?:\s+[A-Z][\w'.-]*){0,2})$/i, // "POV: Anna"
+      /^([A-Z][\w'.-]*(?:\s+[A-Z][\w'.-]*){0,2})\s+POV$/i, // "Anna's POV"
+      /^[-–—~*]+\s*([A-Z][A-Za-z'.-]+(?:\s+[A-Z][A-Za-z'.-]+){0,2})\s*[-–—~*]+$/ // "— Anna —"
+    ];
+    
+    this.setLanguage(this.config.language === 'auto' ? 'en' : this.config.language);
+  }
+
+  /**
+   * Switches the language pack used for sentence rules and chapter headings
+   * @param {string} code - Language code (falls back to English)
+   */
+  setLanguage(code) {
+    this.languagePack = getLanguagePack(code);
+    if (this.languagePack.sentenceRules && !SentenceSegmenter.getLanguages().includes(this.languagePack.code)) {
+      SentenceSegmenter.registerLanguage(this.languagePack.code, this.languagePack.sentenceRules);
+    }
+    this.segmenter.setLanguage(this.languagePack.code);
   }
 
   /**
    * Parses book content into chunks
    * @param {string} bookContent - Full book text
+   * @param {Object} options - Parse options (see parseDocument)
    * @returns {Promise<Array>} Array of text chunks with metadata
    */
-  async parse(bookContent) {
+  async parse(bookContent, options = {}) {
+    const { chunks } = await this.parseDocument(bookContent, options);
+    return chunks;
+  }
+
+  /**
+   * Parses book content into chunks and reports what was done to the text
+   * @param {string} bookContent - Full book text
+   * @param {Object} options - Parse options
+   * @param {Array} options.chapters - Known chapter boundaries ({ title, startChar, endChar }) from the source document
+   * @param {string} options.language - Language code, or "auto" to detect it (defaults to config.language)
+   * @returns {Promise<Object>} { chunks, scenes, metadata }
+   */
+  async parseDocument(bookContent, options = {}) {
+    const chapters = Array.isArray(options.chapters) && options.chapters.length > 0 ? options.chapters : null;
+
     logger.debug('Starting text parsing', {
       contentLength: bookContent.length,
+      knownChapters: chapters ? chapters.length : 0,
       config: this.config
     });
 
     try {
-      // Clean and normalize text
-      const cleanedContent = this.cleanText(bookContent);
+      // Pick the language pack before anything looks for chapters or sentences
+      const requested = options.language || this.config.language;
+      const detection = requested === 'auto' ? detectLanguage(bookContent) : null;
+      this.setLanguage(detection ? detection.language : requested);
+      const language = {
+        code: this.languagePack.code,
+        name: this.languagePack.name,
+        source: detection ? (detection.detected ? 'detected' : 'default') : 'configured',
+        confidence: detection ? detection.confidence : 1
+      };
       
-      // Detect chapters/sections
-      const sections = this.detectSections(cleanedContent);
+      let sections;
+      let removed = [];
+      
+      // Detect chapters/sections; document structure wins over heading guesses.
+      // Chapter offsets refer to the raw text, so each section is cleaned separately.
+      if (chapters) {
+        sections = this.detectSections(bookContent, chapters);
+        if (this.config.stripFrontMatter) {
+          ({ sections, removed } = this.preprocessSections(sections));
+        }
+      } else {
+        let text = this.cleanText(bookContent);
+        if (this.config.stripFrontMatter) {
+          ({ text, removed } = this.preprocess(text));
+        }
+        sections = this.detectSections(text);
+      }
       
-      // Create chunks based on sections
+      // Split sections into scenes and chunk each scene, so no chunk spans a scene break
       const chunks = [];
+      const scenes = [];
       let globalIndex = 0;
       
+      // Offsets point into bookContent as uploaded, whatever cleaning did to the text
+      const locator = createTextLocator(bookContent);
+      let searchFrom = 0;
+      
       for (const section of sections) {
-        const sectionChunks = this.chunkText(section.content, section.title);
+        const sectionScenes = this.detectScenes(section.content, scenes[scenes.length - 1]);
         
-        sectionChunks.forEach((chunk, index) => {
-          chunks.push({
-            id: `chunk_${globalIndex}`,
-            index: globalIndex,
+        sectionScenes.forEach((scene, sceneIndex) => {
+          const sceneChunks = this.chunkText(scene.content);
+          const sceneId = `scene_${scenes.length}`;
+          const located = sceneChunks.map(chunk => {
+            const sentences = this.extractSentences(chunk.content);
+            const span = this.locateChunk(locator, chunk.content, sentences, searchFrom);
+            // Overlapping chunks start before the previous chunk ends
+            if (span.startChar !== null) searchFrom = span.startChar;
+            const dialogue = this.extractDialogue(locator, chunk.content, span.startChar ?? searchFrom);
+            return { sentences, dialogue, ...span };
+          });
+          const sceneStarts = located.map(span => span.startChar).filter(offset => offset !== null);
+          const sceneEnds = located.map(span => span.endChar).filter(offset => offset !== null);
+          
+          scenes.push({
+            id: sceneId,
+            index: scenes.length,
             sectionIndex: section.index,
             sectionTitle: section.title,
-            content: chunk.content,
-            startChar: chunk.startChar,
-            endChar: chunk.endChar,
-            wordCount: chunk.content.split(' ').filter(w => w.length > 0).length,
-            sentences: this.extractSentences(chunk.content),
-            metadata: {
-              hasDialog: this.detectDialog(chunk.content),
-              paragraphCount: chunk.content.split('\n\n').length,
-              isChapterStart: index === 0 && section.isChapter,
-              isChapterEnd: index === sectionChunks.length - 1 && section.isChapter
-            }
+            breakType: sceneIndex === 0 ? (section.isChapter ? 'chapter' : 'section') : scene.breakType,
+            povCharacter: scene.povCharacter,
+            povShift: scene.povShift,
+            firstChunkIndex: globalIndex,
+            lastChunkIndex: globalIndex + sceneChunks.length - 1,
+            startChar: sceneStarts.length > 0 ? Math.min(...sceneStarts) : null,
+            endChar: sceneEnds.length > 0 ? Math.max(...sceneEnds) : null,
+            wordCount: scene.content.split(/\s+/).filter(w => w.length > 0).length
+          });
+          
+          sceneChunks.forEach((chunk, index) => {
+            const isSectionStart = sceneIndex === 0 && index === 0;
+            const isSectionEnd = sceneIndex === sectionScenes.length - 1 && index === sceneChunks.length - 1;
+            
+            chunks.push({
+              id: `chunk_${globalIndex}`,
+              index: globalIndex,
+              sectionIndex: section.index,
+              sectionTitle: section.title,
+              sceneId,
+              content: chunk.content,
+              startChar: located[index].startChar,
+              endChar: located[index].endChar,
+              wordCount: chunk.content.split(/\s+/).filter(w => w.length > 0).length,
+              tokenCount: chunk.tokenCount,
+              sentences: located[index].sentences,
+              sentenceOffsets: located[index].sentenceOffsets,
+              dialogue: located[index].dialogue,
+              metadata: {
+                language: language.code,
+                hasDialog: this.detectDialog(chunk.content),
+                speakers: [...new Set(located[index].dialogue.map(line => line.speaker).filter(Boolean))],
+                paragraphCount: chunk.content.split('\n\n').length,
+                isChapterStart: isSectionStart && section.isChapter,
+                isChapterEnd: isSectionEnd && section.isChapter,
+                isSceneStart: index === 0,
+                isSceneEnd: index === sceneChunks.length - 1,
+                povCharacter: scene.povCharacter,
+                povShift: index === 0 && scene.povShift
+              }
+            });
+            globalIndex++;
           });
-          globalIndex++;
         });
       }
       
       logger.info('Text parsing completed', {
         totalChunks: chunks.length,
-        totalSections: sections.length
+        totalSections: sections.length,
+        totalScenes: scenes.length,
+        removedBlocks: removed.length,
+        language: language.code
       });
       
-      return chunks;
+      return {
+        chunks,
+        scenes,
+        metadata: {
+          language,
+          sectionCount: sections.length,
+          sceneCount: scenes.length,
+          povShiftCount: scenes.filter(scene => scene.povShift).length,
+          chunkCount: chunks.length,
+          tokenizer: this.tokenizer.name || 'custom',
+          maxTokensPerChunk: this.config.maxTokensPerChunk,
+          tokenCount: chunks.reduce((sum, chunk) => sum + chunk.tokenCount, 0),
+          preprocessing: {
+            removed,
+            removedCharacters: removed.reduce((sum, block) => sum + block.characters, 0)
+          }
+        }
+      };
       
     } catch (error) {
       logger.error('Text parsing failed', { error: error.message });
@@ -80,29 +249,34 @@ export class TextParser {
    * @private
    */
   cleanText(text) {
-    return text
-      .replace(/\r\n/g, '\n') // Normalize line endings
+    let cleaned = normalizeUnicode(text) // NFC, straight quotes, no zero-width characters
+      .replace(/\r\n?/g, '\n') // Normalize line endings
       .replace(/\t/g, ' ') // Replace tabs with spaces
       .replace(/ {2,}/g, ' ') // Replace multiple spaces with single space
+      .replace(/ +\n/g, '\n'); // Drop trailing spaces so blank lines are really empty
+    
+    // Two or more empty lines between paragraphs mark a scene break
+    if (this.config.blankLineSceneBreaks) {
+      cleaned = cleaned.replace(/(\S)\n{3,}(?=\S)/g, `$1\n\n${SCENE_BREAK}\n\n`);
+    }
+    
+    return cleaned
       .replace(/\n{3,}/g, '\n\n') // Limit consecutive newlines to 2
       .trim();
   }
 
   /**
    * Detects chapters and major sections
+   * @param {string} text - Book text
+   * @param {Array} chapters - Optional known chapter boundaries; skips pattern detection when given
    * @private
    */
-  detectSections(text) {
-    const sections = [];
+  detectSections(text, chapters = null) {
+    if (chapters) {
+      return this.sectionsFromChapters(text, chapters);
+    }
     
-    // Common chapter patterns
-    const chapterPatterns = [
-      /^Chapter\s+\d+/im,
-      /^Chapter\s+[IVXLCDM]+/im,
-      /^Part\s+\d+/im,
-      /^\d+\.\s+[A-Z]/m,
-      /^[A-Z][A-Z\s]{2,}$/m // All caps titles
-    ];
+    const sections = [];
     
     // Split by double newlines first
     const paragraphs = text.split('\n\n');
@@ -113,15 +287,7 @@ export class TextParser {
       const trimmed = paragraph.trim();
       
       // Check if this is a chapter/section header
-      let isNewSection = false;
-      for (const pattern of chapterPatterns) {
-        if (pattern.test(trimmed) && trimmed.length < 100) {
-          isNewSection = true;
-          break;
-        }
-      }
-      
-      if (isNewSection) {
+      if (this.isChapterHeading(trimmed)) {
         // Save current section if it has content
         if (currentSection.content.trim()) {
           sections.push(currentSection);
@@ -159,78 +325,609 @@ export class TextParser {
   }
 
   /**
-   * Chunks text while preserving sentence boundaries
+   * Splits a section into scenes at scene-break markers and point-of-view headers
+   * @param {string} text - Cleaned section content
+   * @param {Object} previousScene - Last scene of the previous section, for POV shift detection
+   * @returns {Array} Scenes ({ content, breakType, povCharacter, povShift })
    * @private
    */
-  chunkText(text, sectionTitle = '') {
-    const chunks = [];
-    const sentences = this.extractSentences(text);
+  detectScenes(text, previousScene = null) {
+    const scenes = [];
+    let current = { paragraphs: [], breakType: 'section', povHeader: null };
+    
+    const finishScene = () => {
+      if (current.paragraphs.length > 0) scenes.push(current);
+    };
+    
+    for (const paragraph of text.split('\n\n')) {
+      const trimmed = paragraph.trim();
+      if (!trimmed) continue;
+      
+      if (this.isSceneBreak(trimmed)) {
+        finishScene();
+        current = { paragraphs: [], breakType: 'scene_break', povHeader: null };
+        continue;
+      }
+      
+      const povHeader = this.matchPovHeader(trimmed);
+      if (povHeader) {
+        if (current.paragraphs.length > 0) {
+          finishScene();
+          current = { paragraphs: [], breakType: 'pov_header', povHeader };
+        } else {
+          // A header right after a break marker names the POV of the scene that follows
+          current.povHeader = povHeader;
+        }
+        continue;
+      }
+      
+      current.paragraphs.push(trimmed);
+    }
+    finishScene();
+    
+    // Sections made only of break markers keep their text as a single scene
+    if (scenes.length === 0) {
+      scenes.push({ paragraphs: [text.trim()], breakType: 'section', povHeader: null });
+    }
+    
+    let previousPov = previousScene ? previousScene.povCharacter : null;
+    return scenes.map(scene => {
+      const content = scene.paragraphs.join('\n\n');
+      const povCharacter = scene.povHeader || this.inferPovCharacter(content);
+      const povShift = Boolean(povCharacter && previousPov && povCharacter !== previousPov);
+      if (povCharacter) previousPov = povCharacter;
+      
+      return { content, breakType: scene.breakType, povCharacter, povShift };
+    });
+  }
+
+  /**
+   * Checks whether a paragraph is a scene break marker
+   * @private
+   */
+  isSceneBreak(paragraph) {
+    return paragraph.length <= 20 && this.sceneBreakPatterns.some(pattern => pattern.test(paragraph));
+  }
+
+  /**
+   * Returns the character named by a point-of-view header, if the paragraph is one
+   * @private
+   */
+  matchPovHeader(paragraph) {
+    if (paragraph.length > 40) return null;
+    
+    for (const pattern of this.povHeaderPatterns) {
+      const match = paragraph.match(pattern);
+      if (match) return match[1].trim().replace(/'s$/i, '');
+    }
+    return null;
+  }
+
+  /**
+   * Guesses the point-of-view character of a scene as its dominant name
+   * Counts capitalized words that do not start a sentence; needs a clear leader
+   * @private
+   */
+  inferPovCharacter(text) {
+    const counts = new Map();
+    const namePattern = /(?<![.!?"'] )(?<=[^\S\n])([A-Z][a-z]+)\b/g;
+    let match;
+    
+    while ((match = namePattern.exec(text)) !== null) {
+      const name = match[1];
+      if (POV_STOPWORDS.has(name)) continue;
+      counts.set(name, (counts.get(name) || 0) + 1);
+    }
+    
+    const [first, second] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    if (!first || first[1] < 3) return null;
+    if (second && first[1] < second[1] * 1.5) return null;
+    
+    return first[0];
+  }
+
+  /**
+   * Checks whether a paragraph is a chapter/section heading
+   * @private
+   */
+  isChapterHeading(paragraph) {
+    return paragraph.length < 100 &&
+      [...this.languagePack.chapterPatterns, ...this.chapterPatterns].some(pattern => pattern.test(paragraph));
+  }
+
+  /**
+   * Removes Project Gutenberg boilerplate and front/back matter from cleaned text
+   * Front matter (contents, dedication) is only looked for before the first chapter
+   * @param {string} text - Cleaned book text
+   * @param {Object} options - { frontMatter: false for text inside a chapter, preamble: true when
+   *   the whole text comes before the first chapter, backMatter: false when no index can follow }
+   * @returns {Object} { text, removed } where removed lists each dropped block
+   * @private
+   */
+  preprocess(text, options = {}) {
+    const { frontMatter = true, preamble = false, backMatter = true } = options;
+    const removed = [];
+    
+    let body = this.stripGutenbergBoilerplate(text, removed);
+    let paragraphs = body.split('\n\n');
+    paragraphs = this.stripTranscriberNotes(paragraphs, removed);
+    if (frontMatter) {
+      paragraphs = this.stripTableOfContents(paragraphs, removed, preamble);
+      paragraphs = this.stripDedication(paragraphs, removed, preamble);
+    }
+    if (backMatter) {
+      paragraphs = this.stripIndex(paragraphs, removed);
+    }
+    
+    body = paragraphs.join('\n\n').trim();
+    
+    // Never strip a book down to nothing because of a false positive
+    if (!body) {
+      return { text, removed: [] };
+    }
+    
+    return { text: body, removed };
+  }
+
+  /**
+   * Applies front/back matter removal to sections built from document chapters
+   * Contents and dedications are only stripped from the preamble before the first chapter,
+   * and an index only from the last section; chapters themselves keep their text
+   * @private
+   */
+  preprocessSections(sections) {
+    const removed = [];
+    const last = sections[sections.length - 1];
+    const matterTitle = /^(table of contents|contents|dedication|index|transcriber'?s? notes?|.*project gutenberg.*license.*)\.?$/i;
+    
+    const kept = sections
+      .filter(section => {
+        if (section.isChapter && matterTitle.test(section.title.trim())) {
+          this.recordRemoval(removed, this.matterType(section.title), section.content);
+          return false;
+        }
+        return true;
+      })
+      .map(section => {
+        const { text, removed: sectionRemoved } = this.preprocess(section.content, {
+          frontMatter: !section.isChapter,
+          preamble: !section.isChapter,
+          backMatter: section === last
+        });
+        removed.push(...sectionRemoved);
+        return { ...section, content: text };
+      })
+      .filter(section => section.content);
+    
+    return { sections: kept.length > 0 ? kept : sections, removed: kept.length > 0 ? removed : [] };
+  }
+
+  /**
+   * Maps a front/back matter heading to the type reported in metadata
+   * @private
+   */
+  matterType(title) {
+    if (/contents/i.test(title)) return 'table_of_contents';
+    if (/dedication/i.test(title)) return 'dedication';
+    if (/index/i.test(title)) return 'index';
+    if (/transcriber/i.test(title)) return 'transcriber_notes';
+    return 'gutenberg_license';
+  }
+
+  /**
+   * Records a removed block for the parse metadata
+   * @private
+   */
+  recordRemoval(removed, type, content) {
+    removed.push({
+      type,
+      characters: content.length,
+      excerpt: content.replace(/\s+/g, ' ').trim().substring(0, 80)
+    });
+  }
+
+  /**
+   * Cuts the Project Gutenberg header/license before the START marker and everything after the END marker
+   * @private
+   */
+  stripGutenbergBoilerplate(text, removed) {
+    let body = text;
+    
+    const startMarker = /^.*\*{3}\s*START OF (THE|THIS) PROJECT GUTENBERG E-?BOOK.*$/im.exec(body) ||
+      /^.*\*END\*THE SMALL PRINT!.*$/im.exec(body);
+    if (startMarker) {
+      const cut = startMarker.index + startMarker[0].length;
+      this.recordRemoval(removed, 'gutenberg_header', body.slice(0, cut));
+      body = body.slice(cut);
+    }
+    
+    const endMarker = /^.*\*{3}\s*END OF (THE|THIS) PROJECT GUTENBERG E-?BOOK.*$/im.exec(body) ||
+      /^\s*End of (the )?Project Gutenberg('s)?\b.*$/im.exec(body);
+    if (endMarker) {
+      this.recordRemoval(removed, 'gutenberg_footer', body.slice(endMarker.index));
+      body = body.slice(0, endMarker.index);
+    }
+    
+    // Production credits directly after the header ("Produced by ...")
+    const paragraphs = body.trim().split('\n\n');
+    while (paragraphs.length > 1 &&
+           /^(produced by|this e-?text was (produced|prepared) by|e-?text prepared by|transcribed from)\b/i.test(paragraphs[0].trim())) {
+      this.recordRemoval(removed, 'production_credits', paragraphs.shift());
+    }
+    
+    return paragraphs.join('\n\n');
+  }
+
+  /**
+   * Removes transcriber's notes, either bracketed inline or as a headed block
+   * @private
+   */
+  stripTranscriberNotes(paragraphs, removed) {
+    const result = [];
+    let inNotes = false;
     
-    let currentChunk = {
-      content: '',
-      startChar: 0,
-      endChar: 0
+    for (const paragraph of paragraphs) {
+      const trimmed = paragraph.trim();
+      
+      if (/^\[?transcriber'?s? notes?\b[\s\S]*\]$/i.test(trimmed)) {
+        this.recordRemoval(removed, 'transcriber_notes', trimmed);
+        continue;
+      }
+      
+      if (/^transcriber'?s? notes?:?$/i.test(trimmed)) {
+        inNotes = true;
+        this.recordRemoval(removed, 'transcriber_notes', trimmed);
+        continue;
+      }
+      
+      // A notes block ends at the next heading
+      if (inNotes && !this.isChapterHeading(trimmed)) {
+        removed[removed.length - 1].characters += trimmed.length;
+        continue;
+      }
+      
+      inNotes = false;
+      result.push(paragraph);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Finds where front matter can end: the first chapter heading, or the first paragraphs of a
+   * book without headings. A preamble ends before the first chapter, so all of it counts.
+   * @returns {Object} { limit, firstChapter } where firstChapter is -1 when no heading was found
+   * @private
+   */
+  frontMatterLimit(paragraphs, preamble) {
+    if (preamble) return { limit: paragraphs.length, firstChapter: paragraphs.length };
+    
+    const scanLimit = Math.max(20, Math.floor(paragraphs.length * this.config.frontMatterRatio));
+    const firstChapter = paragraphs.findIndex(paragraph => /^(chapter|part|book)\s+([IVXLCDM]+|\d+|one)\b/i.test(paragraph.trim()) ||
+      this.languagePack.chapterPatterns.some(pattern => pattern.test(paragraph.trim())));
+    return {
+      limit: Math.min(paragraphs.length, scanLimit, firstChapter >= 0 ? firstChapter : scanLimit),
+      firstChapter
     };
+  }
+
+  /**
+   * Removes a table of contents near the start of the book
+   * @private
+   */
+  stripTableOfContents(paragraphs, removed, preamble = false) {
+    const { limit } = this.frontMatterLimit(paragraphs, preamble);
+    const headingIndex = paragraphs
+      .slice(0, limit)
+      .findIndex(paragraph => /^(table of )?contents\.?$/i.test(paragraph.trim()));
+    if (headingIndex < 0) return paragraphs;
+    
+    // Contents entries are short lines. The listing ends at prose, at a dedication, at an entry
+    // repeated as the real heading ("CHAPTER I" after "I. The Start" is listed as "CHAPTER I. ..."
+    // or "I" as "I. The Start"), or at a chapter heading once entries that are not headings were listed
+    const entries = new Set();
+    const repeatsEntry = key => [...entries].some(entry => entry === key ||
+      (entry.startsWith(key) && /^[^\p{L}\p{N}]/u.test(entry.slice(key.length))));
+    let listedOther = false;
+    let end = headingIndex + 1;
+    
+    while (end < paragraphs.length) {
+      const trimmed = paragraphs[end].trim();
+      const lines = trimmed.split('\n').map(line => line.trim()).filter(Boolean);
+      const isListing = lines.every(line => line.length <= 80 && !/[.!?]["'”’]?\s+[A-Z].{40,}/.test(line));
+      const key = trimmed.toLowerCase();
+      const isHeading = this.isChapterHeading(trimmed);
+      
+      if (!isListing || repeatsEntry(key) || (isHeading && listedOther) ||
+          this.isDedication(trimmed, true)) break;
+      
+      lines.forEach(line => entries.add(line.toLowerCase()));
+      entries.add(key);
+      listedOther = listedOther || !isHeading;
+      end++;
+    }
+    
+    // Stopped at prose: the last short paragraph was the first chapter's heading, not an entry
+    if (end < paragraphs.length && !repeatsEntry(paragraphs[end].trim().toLowerCase()) &&
+        end - 1 > headingIndex && this.isChapterHeading(paragraphs[end - 1].trim())) {
+      end--;
+    }
+    
+    this.recordRemoval(removed, 'table_of_contents', paragraphs.slice(headingIndex, end).join('\n\n'));
+    return [...paragraphs.slice(0, headingIndex), ...paragraphs.slice(end)];
+  }
+
+  /**
+   * Removes a dedication before the first chapter
+   * A "Dedication" heading or "Dedicated to"/"In memory of" is enough. "To my"/"For my" also open
+   * story sentences ("To my surprise, the door was open."), so those only count for a short line
+   * without dialog or a clause after the comma ("For my brother, she thought") before a chapter heading.
+   * @private
+   */
+  stripDedication(paragraphs, removed, preamble = false) {
+    const { limit, firstChapter } = this.frontMatterLimit(paragraphs, preamble);
+    
+    for (let i = 0; i < limit; i++) {
+      const trimmed = paragraphs[i].trim();
+      
+      if (/^dedication\.?$/i.test(trimmed) && i + 1 < paragraphs.length) {
+        this.recordRemoval(removed, 'dedication', paragraphs.slice(i, i + 2).join('\n\n'));
+        return [...paragraphs.slice(0, i), ...paragraphs.slice(i + 2)];
+      }
+      
+      if (this.isDedication(trimmed, firstChapter >= 0)) {
+        this.recordRemoval(removed, 'dedication', trimmed);
+        return [...paragraphs.slice(0, i), ...paragraphs.slice(i + 1)];
+      }
+    }
+    
+    return paragraphs;
+  }
+
+  /**
+   * Checks whether a paragraph reads as a dedication line (see stripDedication)
+   * @param {string} paragraph - Trimmed paragraph
+   * @param {boolean} beforeChapter - Whether a chapter heading follows, which "To my"/"For my" needs
+   * @private
+   */
+  isDedication(paragraph, beforeChapter) {
+    if (/^dedication\.?$/i.test(paragraph)) return true;
+    if (/^(to the memory of|dedicated to|in (loving )?memory of)\b/i.test(paragraph)) return paragraph.length < 300;
+    
+    return /^(to|for) my\b/i.test(paragraph) && beforeChapter && paragraph.length < 120 &&
+      !/["“”«»!?]/.test(paragraph) && !/,\s*(the|a|an|i|he|she|it|we|they|you)\b/i.test(paragraph) &&
+      !/[.;:]\s+\S/.test(paragraph);
+  }
+
+  /**
+   * Removes a back-of-book index
+   * @private
+   */
+  stripIndex(paragraphs, removed) {
+    const searchFrom = Math.floor(paragraphs.length * (1 - this.config.frontMatterRatio));
+    
+    for (let i = paragraphs.length - 1; i >= searchFrom; i--) {
+      if (!/^index\.?$/i.test(paragraphs[i].trim())) continue;
+      
+      // Only treat it as an index when the entries carry page references
+      const entries = paragraphs.slice(i + 1).join('\n').split('\n').filter(line => line.trim());
+      const withPages = entries.filter(line => /,\s*\d+/.test(line)).length;
+      if (entries.length > 0 && withPages / entries.length >= 0.5) {
+        this.recordRemoval(removed, 'index', paragraphs.slice(i).join('\n\n'));
+        return paragraphs.slice(0, i);
+      }
+    }
+    
+    return paragraphs;
+  }
+
+  /**
+   * Builds sections from chapter boundaries supplied by the document extractor
+   * @private
+   */
+  sectionsFromChapters(text, chapters) {
+    const sections = [];
+    const ordered = [...chapters].sort((a, b) => a.startChar - b.startChar);
     
-    let charCount = 0;
+    // Text before the first chapter (title page, epigraph) becomes its own section
+    let preamble = text.slice(0, ordered[0].startChar).trim();
+    if (ordered[0].title && preamble.endsWith(ordered[0].title)) {
+      preamble = preamble.slice(0, -ordered[0].title.length);
+    }
+    preamble = this.cleanText(preamble);
+    if (preamble) {
+      sections.push({ title: 'Beginning', content: preamble, index: 0, isChapter: false });
+    }
     
-    for (const sentence of sentences) {
-      const sentenceLength = sentence.length;
+    ordered.forEach((chapter, i) => {
+      const end = chapter.endChar ?? (ordered[i + 1] ? ordered[i + 1].startChar : text.length);
+      const content = this.cleanText(text.slice(chapter.startChar, end));
+      if (!content) return;
       
-      // Check if adding this sentence would exceed max chunk size
-      if (currentChunk.content && 
-          (currentChunk.content.length + sentenceLength > this.config.maxChunkSize)) {
-        // Save current chunk
-        currentChunk.endChar = charCount - 1;
-        chunks.push({ ...currentChunk });
+      sections.push({
+        title: chapter.title ? normalizeUnicode(chapter.title) : `Chapter ${i + 1}`,
+        content,
+        index: i + 1,
+        isChapter: true
+      });
+    });
+    
+    return sections;
+  }
+
+  /**
+   * Chunks text within the token budget
+   * Whole paragraphs are packed first; a paragraph over budget is split at sentences, and
+   * a sentence over budget at words. Offsets are added by parseDocument.
+   * @returns {Array} Chunks ({ content, tokenCount })
+   * @private
+   */
+  chunkText(text) {
+    const chunks = [];
+    const units = this.splitIntoUnits(text);
+    
+    let current = { parts: [], tokens: 0, length: 0 };
+    
+    const closeChunk = () => {
+      const content = current.parts.join('');
+      chunks.push({ content, tokenCount: this.tokenizer.count(content) });
+    };
+    
+    for (const unit of units) {
+      const separator = current.parts.length === 0 ? '' : (unit.paragraphStart ? '\n\n' : ' ');
+      
+      // Check if adding this unit would exceed the budget
+      if (current.parts.length > 0 && !this.fitsBudget(current.tokens + unit.tokens, current.length + unit.text.length + separator.length)) {
+        closeChunk();
         
-        // Start new chunk with overlap
-        const overlap = this.getOverlapText(currentChunk.content);
-        currentChunk = {
-          content: overlap + sentence,
-          startChar: charCount - overlap.length,
-          endChar: 0
-        };
+        // Start new chunk with overlap, unless the overlap would push it over budget
+        const overlap = this.getOverlapText(current.parts.join(''));
+        const overlapTokens = this.tokenizer.count(overlap);
+        current = overlap && this.fitsBudget(overlapTokens + unit.tokens, overlap.length + unit.text.length + 1)
+          ? { parts: [overlap, (unit.paragraphStart ? '\n\n' : ' ') + unit.text], tokens: overlapTokens + unit.tokens }
+          : { parts: [unit.text], tokens: unit.tokens };
       } else {
-        // Add sentence to current chunk
-        currentChunk.content += (currentChunk.content ? ' ' : '') + sentence;
+        current.parts.push(separator + unit.text);
+        current.tokens += unit.tokens;
       }
-      
-      charCount += sentenceLength + 1; // +1 for space
+      current.length = current.parts.reduce((sum, part) => sum + part.length, 0);
     }
     
     // Don't forget the last chunk
-    if (currentChunk.content.trim()) {
-      currentChunk.endChar = charCount - 1;
-      chunks.push(currentChunk);
+    if (current.parts.join('').trim()) {
+      closeChunk();
     }
     
     return chunks;
   }
 
   /**
-   * Extracts sentences from text
+   * Splits scene text into the pieces chunks are packed from: paragraphs, or sentences and
+   * word runs of paragraphs that do not fit the budget on their own
+   * @returns {Array} Units ({ text, tokens, paragraphStart })
    * @private
    */
-  extractSentences(text) {
-    // Improved sentence splitting that handles common edge cases
-    const sentenceEnders = /([.!?]+)\s+(?=[A-Z])/g;
-    const rawSentences = text.split(sentenceEnders);
-    
-    const sentences = [];
-    for (let i = 0; i < rawSentences.length; i += 2) {
-      const sentence = rawSentences[i] + (rawSentences[i + 1] || '');
-      if (sentence.trim()) {
-        sentences.push(sentence.trim());
+  splitIntoUnits(text) {
+    const units = [];
+    
+    for (const paragraph of text.split('\n\n')) {
+      const trimmed = paragraph.trim();
+      if (!trimmed) continue;
+      
+      const tokens = this.tokenizer.count(trimmed);
+      if (this.fitsBudget(tokens, trimmed.length)) {
+        units.push({ text: trimmed, tokens, paragraphStart: true });
+        continue;
+      }
+      
+      const pieces = [];
+      for (const sentence of this.extractSentences(trimmed)) {
+        const sentenceTokens = this.tokenizer.count(sentence);
+        if (this.fitsBudget(sentenceTokens, sentence.length)) {
+          pieces.push({ text: sentence, tokens: sentenceTokens });
+        } else {
+          pieces.push(...this.splitAtWords(sentence));
+        }
+      }
+      pieces.forEach((piece, index) => units.push({ ...piece, paragraphStart: index === 0 }));
+    }
+    
+    return units;
+  }
+
+  /**
+   * Splits an over-budget sentence into runs of words that fit
+   * @private
+   */
+  splitAtWords(sentence) {
+    const runs = [];
+    let words = [];
+    
+    for (const word of sentence.split(/\s+/)) {
+      const candidate = [...words, word].join(' ');
+      if (words.length > 0 && !this.fitsBudget(this.tokenizer.count(candidate), candidate.length)) {
+        const text = words.join(' ');
+        runs.push({ text, tokens: this.tokenizer.count(text) });
+        words = [];
       }
+      words.push(word);
+    }
+    if (words.length > 0) {
+      const text = words.join(' ');
+      runs.push({ text, tokens: this.tokenizer.count(text) });
     }
     
-    // If no sentences detected, treat entire text as one sentence
-    if (sentences.length === 0 && text.trim()) {
-      sentences.push(text.trim());
+    return runs;
+  }
+
+  /**
+   * Checks a size against the token budget and the optional character cap
+   * @private
+   */
+  fitsBudget(tokens, characters) {
+    if (tokens > this.config.maxTokensPerChunk) return false;
+    return !this.config.maxChunkSize || characters <= this.config.maxChunkSize;
+  }
+
+  /**
+   * Finds a chunk and its sentences in the original text
+   * @param {Object} locator - Text locator for the original text
+   * @param {string} content - Chunk content
+   * @param {Array<string>} sentences - Sentences of the chunk
+   * @param {number} from - Original offset to search from
+   * @returns {Object} { startChar, endChar, sentenceOffsets } (end exclusive, null when not found)
+   * @private
+   */
+  locateChunk(locator, content, sentences, from) {
+    const span = locator.locate(content, from);
+    if (!span) {
+      logger.debug('Chunk not found in original text', { from, preview: content.substring(0, 50) });
+      return { startChar: null, endChar: null, sentenceOffsets: sentences.map(() => null) };
     }
     
-    return sentences;
+    let cursor = span.start;
+    const sentenceOffsets = sentences.map(sentence => {
+      const found = locator.locate(sentence, cursor);
+      if (!found || found.end > span.end) return null;
+      cursor = found.end;
+      return found;
+    });
+    
+    return { startChar: span.start, endChar: span.end, sentenceOffsets };
+  }
+
+  /**
+   * Lists the quoted utterances of a chunk with their speakers and original offsets
+   * @param {Object} locator - Text locator for the original text
+   * @param {string} content - Chunk content
+   * @param {number} from - Original offset of the chunk
+   * @returns {Array} Utterances ({ text, speaker, attribution, startChar, endChar })
+   * @private
+   */
+  extractDialogue(locator, content, from) {
+    let cursor = from;
+    
+    return this.dialogueAttributor.attribute(content).map(line => {
+      const found = locator.locate(content.slice(line.start, line.end), cursor);
+      if (found) cursor = found.end;
+      
+      return {
+        text: line.text,
+        speaker: line.speaker,
+        attribution: line.attribution,
+        startChar: found ? found.start : null,
+        endChar: found ? found.end : null
+      };
+    });
+  }
+
+  /**
+   * Extracts sentences from text
+   * @private
+   */
+  extractSentences(text) {
+    // Abbreviation-, ellipsis- and quote-aware; rules follow the language pack
+    return this.segmenter.split(text);
   }
 
   /**
@@ -247,7 +944,10 @@ export class TextParser {
     
     // Limit overlap size
     if (overlap.length > this.config.overlapSize) {
-      return overlap.substring(overlap.length - this.config.overlapSize);
+      // Start at a word boundary
+      const cut = overlap.length - this.config.overlapSize;
+      const tail = overlap.substring(cut);
+      return (/\s/.test(overlap[cut - 1]) ? tail : tail.replace(/^\S*/, '')).trim();
     }
     
     return overlap;
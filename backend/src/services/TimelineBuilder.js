@@ -0,0 +1,187 @@
+import logger from '../utils/logger.js';
+
+// Event verbs by kind of plot event, with how much each kind tends to matter to the plot
+const EVENT_TYPES = [
+  {
+    type: 'conflict',
+    weight: 3,
+    verbs: ['attacked', 'fought', 'struck', 'chased', 'captured', 'killed', 'shot', 'stabbed', 'threatened', 'ambushed', 'battled', 'grabbed']
+  },
+  {
+    type: 'loss',
+    weight: 3,
+    verbs: ['died', 'lost', 'collapsed', 'drowned', 'destroyed', 'burned', 'broke', 'flooded', 'wept', 'vanished', 'disappeared']
+  },
+  {
+    type: 'discovery',
+    weight: 2.5,
+    verbs: ['found', 'discovered', 'realized', 'realised', 'learned', 'revealed', 'uncovered', 'recognized', 'told them the truth']
+  },
+  {
+    type: 'decision',
+    weight: 2,
+    verbs: ['decided', 'chose', 'agreed', 'refused', 'promised', 'swore', 'closed', 'opened']
+  },
+  {
+    type: 'encounter',
+    weight: 2,
+    verbs: ['met', 'joined', 'married', 'rescued', 'saved', 'betrayed', 'trusted', 'arrived']
+  },
+  {
+    type: 'movement',
+    weight: 1,
+    verbs: ['left', 'escaped', 'fled', 'returned', 'reached', 'entered', 'crossed', 'climbed', 'jumped']
+  }
+];
+
+// A verb form after one of these is an adjective ("he looks lost", "the door was closed")
+const LINKING_VERB = /\b(?:look|looks|looked|seem|seems|seemed|feel|feels|felt|is|was|were|are|be|been|get|got)\s+$/i;
+
+/**
+ * Escapes text for use inside a regular expression
+ * @private
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * TimelineBuilder - Orders the key plot events of a book
+ * Events are sentences with an event verb, ranked by kind of event and by who is involved;
+ * each event points back to its chunk and to the decision points close to it
+ */
+export class TimelineBuilder {
+  constructor(config = {}) {
+    this.config = {
+      maxEvents: config.maxEvents || 25,
+      maxEventsPerChunk: config.maxEventsPerChunk || 2,
+      minImportance: config.minImportance || 2,
+      beatWindow: config.beatWindow || 2, // sentences between an event and a decision point "at" it
+      majorBeatShare: config.majorBeatShare || 0.3, // most important share of events marked as major beats
+      ...config
+    };
+
+    this.eventTypes = EVENT_TYPES.map(eventType => ({
+      ...eventType,
+      pattern: new RegExp(`\\b(${eventType.verbs.join('|')})\\b`, 'i')
+    }));
+  }
+
+  /**
+   * Builds the timeline
+   * @param {Array} chunks - Parsed chunks (with sentences, sentenceOffsets, characters, setting)
+   * @param {Array} characters - Character roster
+   * @param {Array} decisionPoints - Detected decision points
+   * @returns {Array} Events in story order
+   */
+  build(chunks, characters = [], decisionPoints = []) {
+    logger.debug('Starting timeline extraction', { chunkCount: chunks.length });
+
+    try {
+      // Overlapping chunks share sentences; keep each passage once
+      const seen = new Set();
+      const candidates = chunks.flatMap(chunk => this.findEvents(chunk, characters)).filter(event => {
+        const key = event.startChar ?? `${event.chunkIndex}:${event.description}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+
+      const selected = candidates
+        .sort((a, b) => b.importance - a.importance)
+        .slice(0, this.config.maxEvents)
+        .sort((a, b) => a.chunkIndex - b.chunkIndex || a.sentenceIndex - b.sentenceIndex);
+
+      // The most important events are the major beats
+      const majorCount = Math.max(1, Math.round(selected.length * this.config.majorBeatShare));
+      const majorThreshold = [...selected].sort((a, b) => b.importance - a.importance)[majorCount - 1]?.importance;
+
+      const timeline = selected.map((event, index) => ({
+        id: `event_${index}`,
+        order: index,
+        ...event,
+        isMajorBeat: event.importance >= majorThreshold,
+        decisionPointIds: this.nearbyDecisionPoints(event, decisionPoints, chunks[event.chunkIndex])
+      }));
+
+      logger.info('Timeline extraction completed', {
+        eventCount: timeline.length,
+        majorBeats: timeline.filter(event => event.isMajorBeat).length
+      });
+
+      return timeline;
+
+    } catch (error) {
+      logger.error('Timeline extraction failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Finds the event sentences of a chunk, best first, up to maxEventsPerChunk
+   * @private
+   */
+  findEvents(chunk, characters) {
+    const events = [];
+    const sentences = chunk.sentences || [];
+    const offsets = chunk.sentenceOffsets || [];
+    const present = characters.filter(character => chunk.characters ? chunk.characters.includes(character.name) : true);
+
+    sentences.forEach((sentence, sentenceIndex) => {
+      const eventType = this.eventTypes.find(candidate => {
+        const match = sentence.match(candidate.pattern);
+        return match && !LINKING_VERB.test(sentence.slice(0, match.index));
+      });
+      if (!eventType) return;
+
+      const involved = present
+        .filter(character => character.aliases.some(alias => new RegExp(`\\b${escapeRegExp(alias)}\\b`).test(sentence)))
+        .map(character => character.name);
+      const atBoundary = (sentenceIndex === 0 && chunk.metadata.isSceneStart) ||
+        (sentenceIndex === sentences.length - 1 && chunk.metadata.isSceneEnd);
+
+      // Events told in dialog are reported, not shown, and count for less
+      const isDialog = /^["']/.test(sentence);
+      const importance = eventType.weight + Math.min(2, involved.length) * 0.5 + (atBoundary ? 0.5 : 0) - (isDialog ? 1 : 0);
+      if (importance < this.config.minImportance) return;
+
+      events.push({
+        type: eventType.type,
+        verb: sentence.match(eventType.pattern)[1].toLowerCase(),
+        description: sentence,
+        characters: involved,
+        setting: chunk.setting || null,
+        chunkId: chunk.id,
+        chunkIndex: chunk.index,
+        sceneId: chunk.sceneId,
+        sentenceIndex,
+        startChar: offsets[sentenceIndex] ? offsets[sentenceIndex].start : null,
+        endChar: offsets[sentenceIndex] ? offsets[sentenceIndex].end : null,
+        importance
+      });
+    });
+
+    return events
+      .sort((a, b) => b.importance - a.importance)
+      .slice(0, this.config.maxEventsPerChunk);
+  }
+
+  /**
+   * Lists the decision points within beatWindow sentences of an event
+   * Points found in an overlapping chunk are matched through their source offsets
+   * @private
+   */
+  nearbyDecisionPoints(event, decisionPoints, chunk) {
+    const offsets = (chunk && chunk.sentenceOffsets) || [];
+
+    return decisionPoints
+      .filter(point => {
+        let sentenceIndex = point.chunkId === event.chunkId ? point.sentenceIndex : -1;
+        if (sentenceIndex < 0 && point.startChar !== null && point.startChar !== undefined) {
+          sentenceIndex = offsets.findIndex(offset => offset && offset.start === point.startChar);
+        }
+        return sentenceIndex >= 0 && Math.abs(sentenceIndex - event.sentenceIndex) <= this.config.beatWindow;
+      })
+      .map(point => point.id);
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * Chapter assembly shared by the word-processor extractors (DOCX, RTF)
+ */
+
+/**
+ * Joins paragraphs into book text and records a chapter boundary at every chapter-level heading
+ * @param {Array} paragraphs - Paragraphs as { text, headingLevel }
+ * @param {Array<number>} chapterLevels - Heading levels that start a chapter
+ * @returns {Object} { text, chapters } where chapters is null when the document has no usable headings
+ */
+export function assembleChapters(paragraphs, chapterLevels) {
+  const chapters = [];
+  let text = '';
+  let current = null;
+
+  for (const paragraph of paragraphs) {
+    text += text ? '\n\n' : '';
+
+    if (chapterLevels.includes(paragraph.headingLevel)) {
+      if (current) current.endChar = text.length - 2;
+      text += paragraph.text;
+      current = {
+        title: paragraph.text.replace(/\s+/g, ' '),
+        level: paragraph.headingLevel,
+        startChar: text.length + 2,
+        endChar: null
+      };
+      chapters.push(current);
+    } else {
+      text += paragraph.text;
+    }
+  }
+
+  if (current) current.endChar = text.length;
+
+  // Headings directly followed by another heading (e.g. "Part One" / "Chapter 1") carry no section
+  const nonEmpty = chapters.filter(chapter => chapter.endChar > chapter.startChar);
+  return { text, chapters: nonEmpty.length > 0 ? nonEmpty : null };
+}
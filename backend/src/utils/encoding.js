@@ -0,0 +1,235 @@
+import iconv from 'iconv-lite';
+
+/**
+ * Character encoding helpers for uploaded books
+ * Detects the encoding of raw bytes, decodes them and normalizes the resulting Unicode
+ */
+
+// Legacy single-byte code pages tried when the bytes are not valid UTF-8 (first entry wins ties)
+const LEGACY_ENCODINGS = ['windows-1252', 'windows-1250', 'windows-1251', 'macintosh'];
+
+// Letters each code page is typically chosen for; seeing them supports that decoding
+const WESTERN_LETTERS = /[\u00c0-\u00d6\u00d8-\u00f6\u00f8-\u00ff\u0152\u0153]/u;
+const EXPECTED_LETTERS = {
+  'windows-1252': WESTERN_LETTERS,
+  'windows-1250': /[\u00c1\u00c4\u00c9\u00cd\u00d3\u00d6\u00da\u00dc\u00dd\u00e1\u00e4\u00e9\u00ed\u00f3\u00f6\u00fa\u00fc\u00fd\u0104-\u0107\u010c-\u010f\u0118-\u011b\u0141-\u0144\u0147\u0148\u0158-\u015b\u0160-\u0165\u016e\u016f\u0179-\u017e]/u,
+  'windows-1251': /[\u0400-\u045f]/u,
+  macintosh: WESTERN_LETTERS
+};
+
+// Typographic punctuation expected in book text
+const TYPOGRAPHIC = /[\u2018-\u201f\u2013\u2014\u2026\u00ab\u00bb\u00a0\u00b7\u2022]/u;
+
+// Mac Roman letters at the bytes Windows-1252 uses for quotes and dashes (0x91-0x97), where they
+// sit like punctuation: alone, opening a capitalized word, before a contraction or closing a word
+const MAC_QUOTE_LOOKALIKES = /(?<![\p{L}\p{N}])[\u00eb-\u00ef\u00f1\u00f3](?![\p{L}\p{N}])|(?<![\p{L}\p{N}])[\u00eb\u00ec](?=\p{Lu})|(?<=\p{L})\u00ed(?=(?:t|s|d|m|ll|re|ve)(?![\p{L}\p{N}]))|(?<=\p{L})\u00ee(?![\p{L}\p{N}])/gu;
+
+// Windows-1252 wins when another code page is ahead by less than this per non-ASCII byte
+const WESTERN_PREFERENCE = 0.25;
+
+// Classic UTF-8-read-as-Windows-1252 (or Latin-1) artifacts ("â€™", "Ã©")
+const MOJIBAKE = /\u00e2[\u20ac\u0080][\u0080-\u009f\u2122\u0153\u201c\u201d\u02dc\u00a6\u00a2\u00a1]|\u00c3[\u0080-\u00bf]|\u00c2[\u00a0-\u00bf]/g;
+
+/**
+ * Detects the encoding of a buffer
+ * @param {Buffer} buffer - Raw bytes
+ * @returns {Object} { encoding, confidence, bom }
+ */
+export function detectEncoding(buffer) {
+  // Byte order marks
+  if (buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return { encoding: 'utf-8', confidence: 1, bom: true };
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return { encoding: 'utf-16le', confidence: 1, bom: true };
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return { encoding: 'utf-16be', confidence: 1, bom: true };
+  }
+
+  // UTF-16 without a BOM: text in Latin scripts has a zero byte in every other position
+  const sample = buffer.subarray(0, 4096);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+  const pairs = Math.max(1, Math.floor(sample.length / 2));
+  if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) {
+    return { encoding: 'utf-16le', confidence: 0.9, bom: false };
+  }
+  if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) {
+    return { encoding: 'utf-16be', confidence: 0.9, bom: false };
+  }
+
+  // Valid UTF-8 (including plain ASCII)
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return { encoding: 'utf-8', confidence: 1, bom: false };
+  } catch {
+    // fall through to legacy code pages
+  }
+
+  return detectLegacyEncoding(buffer);
+}
+
+/**
+ * Scores each legacy code page by how plausible its decoding looks
+ * @private
+ */
+function detectLegacyEncoding(buffer) {
+  const scores = LEGACY_ENCODINGS.map(encoding => {
+    const text = iconv.decode(buffer, encoding);
+    return { encoding, text, score: scoreDecoding(text, encoding) };
+  });
+
+  const nonAscii = buffer.reduce((count, byte) => count + (byte > 0x7f ? 1 : 0), 0);
+  const western = scores.find(entry => entry.encoding === 'windows-1252');
+  const ranked = [...scores].sort((a, b) => b.score - a.score);
+
+  // Most legacy text is Windows-1252, so a close call goes its way
+  if (ranked[0] !== western && ranked[0].score - western.score < WESTERN_PREFERENCE * nonAscii) {
+    ranked.splice(ranked.indexOf(western), 1);
+    ranked.unshift(western);
+  }
+
+  // Confidence comes from the nearest code page that reads the bytes differently
+  const [best] = ranked;
+  const second = ranked.find(entry => entry.text !== best.text);
+  const margin = second ? Math.max(0, best.score - second.score) / Math.max(1, nonAscii) : 1;
+
+  return {
+    encoding: best.encoding,
+    confidence: Math.round(Math.min(0.95, 0.5 + margin / 2) * 100) / 100,
+    bom: false
+  };
+}
+
+/**
+ * Rates decoded text: expected letters and typographic punctuation count for it; control
+ * characters, stray symbols, implausible words and letters standing in for quotes count against it
+ * @private
+ */
+function scoreDecoding(text, encoding) {
+  const expectedLetters = EXPECTED_LETTERS[encoding];
+  let score = 0;
+
+  for (const char of text) {
+    if (char.codePointAt(0) < 0x80) continue;
+
+    if (/\p{Cc}/u.test(char)) score -= 5;
+    else if (TYPOGRAPHIC.test(char)) score += 1;
+    else if (expectedLetters.test(char)) score += 2;
+    else if (!/\p{L}/u.test(char)) score -= 1;
+  }
+
+  const words = text.match(/[\p{L}\p{M}]+/gu) || [];
+  for (const word of words) {
+    const accented = word.replace(/\p{ASCII}/gu, '').length;
+    if (accented === 0) continue;
+
+    // Scripts mixed inside one word ("caf\u0439")
+    if (/\p{Script=Latin}/u.test(word) && /[\p{Script=Cyrillic}\p{Script=Greek}]/u.test(word)) score -= 3;
+
+    // Capital letter in the middle of a lowercase word ("caf\u017d")
+    if (/\p{Ll}\p{Lu}/u.test(word)) score -= 1;
+
+    // Latin words made mostly of accented letters are usually another script misread ("\u00cf\u00f0\u00e8\u00e2\u00e5\u00f2")
+    if (word.length >= 4 && accented / word.length > 0.6 && /\p{Script=Latin}/u.test(word)) score -= accented;
+  }
+
+  // "\u00ecI don\u00edt know,\u00ee": Windows-1252 quotes read as Mac Roman letters
+  if (encoding === 'macintosh') {
+    score -= 4 * (text.match(MAC_QUOTE_LOOKALIKES) || []).length;
+  }
+
+  return score;
+}
+
+/**
+ * Decodes a buffer using the detected (or given) encoding
+ * @param {Buffer} buffer - Raw bytes
+ * @param {string} encoding - Optional encoding override
+ * @returns {Object} { text, encoding, confidence, repairedMojibake }
+ */
+export function decodeBuffer(buffer, encoding = null) {
+  const detected = encoding
+    ? { encoding, confidence: 1, bom: false }
+    : detectEncoding(buffer);
+
+  const text = iconv.decode(buffer, detected.encoding);
+  const repaired = repairMojibake(text);
+
+  return {
+    text: repaired.text,
+    encoding: detected.encoding,
+    confidence: detected.confidence,
+    repairedMojibake: repaired.repaired
+  };
+}
+
+/**
+ * Reverses UTF-8 text that was once decoded as Windows-1252 ("donâ€™t" -> "don’t")
+ * @param {string} text - Decoded text
+ * @returns {Object} { text, repaired }
+ */
+export function repairMojibake(text) {
+  const artifacts = (text.match(MOJIBAKE) || []).length;
+  if (artifacts < 3) {
+    return { text, repaired: false };
+  }
+
+  const bytes = encodeWindows1252(text);
+  if (!bytes) {
+    return { text, repaired: false };
+  }
+
+  try {
+    const fixed = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    const remaining = (fixed.match(MOJIBAKE) || []).length;
+    return remaining < artifacts ? { text: fixed, repaired: true } : { text, repaired: false };
+  } catch {
+    return { text, repaired: false };
+  }
+}
+
+/**
+ * Encodes text back into Windows-1252 bytes; null when a character has no byte
+ * @private
+ */
+function encodeWindows1252(text) {
+  const table = new Map();
+  for (let byte = 0; byte < 256; byte++) {
+    table.set(iconv.decode(Buffer.of(byte), 'windows-1252'), byte);
+  }
+  // Latin-1 readings of 0x80-0x9F (C1 control code points) map back to the same bytes
+  for (let byte = 0x80; byte <= 0x9f; byte++) {
+    table.set(String.fromCharCode(byte), byte);
+  }
+
+  const bytes = [];
+  for (const char of text) {
+    const byte = table.get(char);
+    if (byte === undefined) return null;
+    bytes.push(byte);
+  }
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Normalizes decoded text: NFC composition, straight quotes and no invisible characters
+ * Keeps the TextParser dialog and sentence patterns working on one set of characters
+ * @param {string} text - Decoded text
+ * @returns {string} Normalized text
+ */
+export function normalizeUnicode(text) {
+  return text
+    .normalize('NFC')
+    .replace(/[\u200b-\u200d\u2060\ufeff\u00ad]/g, '')
+    .replace(/[\u201c\u201d\u201e\u201f\u2033\u275d\u275e\uff02]/g, '"')
+    .replace(/[\u2018\u2019\u201a\u201b\u2032\u275b\u275c\uff07]/g, "'")
+    .replace(/[\u00a0\u2007\u202f]/g, ' ');
+}
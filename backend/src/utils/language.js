@@ -0,0 +1,80 @@
+import { LANGUAGE_PACKS } from './languagePacks.js';
+
+/**
+ * Language packs and language detection
+ * Packs are looked up by language code; registerLanguagePack adds a language or replaces
+ * one, and every registered pack takes part in detection through its stopwords.
+ */
+
+const packs = new Map(Object.entries(LANGUAGE_PACKS));
+
+// Characters sampled from the middle of a book for detection, away from front and back matter
+const SAMPLE_SIZE = 20000;
+
+// Fewer words than this, or too few stopwords among them, and the text is not trusted to tell
+const MIN_WORDS = 20;
+const MIN_STOPWORD_SHARE = 0.05;
+
+/**
+ * Adds or replaces the pack for a language
+ * @param {string} code - Language code ("en", "es", ...)
+ * @param {Object} pack - { name, stopwords, sentenceRules, chapterPatterns, contextCues, choiceCues, actionVerbs }
+ */
+export function registerLanguagePack(code, pack) {
+  packs.set(code, {
+    name: code,
+    stopwords: [],
+    chapterPatterns: [],
+    contextCues: {},
+    choiceCues: [],
+    actionVerbs: [],
+    ...pack
+  });
+}
+
+/**
+ * Returns the pack for a language, or the English pack when there is none
+ * @param {string} code - Language code
+ * @returns {Object} Language pack, with its code
+ */
+export function getLanguagePack(code) {
+  const resolved = packs.has(code) ? code : 'en';
+  return { code: resolved, ...packs.get(resolved) };
+}
+
+/**
+ * Lists the languages that have a pack
+ * @returns {Array<string>} Language codes
+ */
+export function getLanguageCodes() {
+  return [...packs.keys()];
+}
+
+/**
+ * Guesses the language of a text from the share of each pack's stopwords among its words
+ * @param {string} text - Text to inspect (only a sample from the middle is read)
+ * @param {Object} options - { fallback } language code used when the text is too short or unclear
+ * @returns {Object} { language, confidence, detected, scores } with confidence from 0 to 1
+ */
+export function detectLanguage(text, options = {}) {
+  const fallback = options.fallback || 'en';
+  const source = text || '';
+  const sampleStart = Math.max(0, Math.floor((source.length - SAMPLE_SIZE) / 2));
+  const words = source.slice(sampleStart, sampleStart + SAMPLE_SIZE).toLowerCase().match(/\p{L}+/gu) || [];
+
+  const scores = {};
+  for (const [code, pack] of packs) {
+    const stopwords = new Set(pack.stopwords);
+    const hits = words.filter(word => stopwords.has(word)).length;
+    scores[code] = words.length > 0 ? Number((hits / words.length).toFixed(4)) : 0;
+  }
+
+  const [best, second] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (words.length < MIN_WORDS || !best || best[1] < MIN_STOPWORD_SHARE) {
+    return { language: fallback, confidence: 0, detected: false, scores };
+  }
+
+  // Confidence is how far the winner is ahead of the runner-up
+  const margin = second ? (best[1] - second[1]) / best[1] : 1;
+  return { language: best[0], confidence: Number(margin.toFixed(2)), detected: true, scores };
+}
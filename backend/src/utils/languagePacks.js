@@ -0,0 +1,162 @@
+import { SENTENCE_RULES } from './sentenceRules.js';
+
+/**
+ * Per-language pattern packs
+ * A pack holds what the pipeline needs to read a book in one language: stopwords for
+ * language detection, sentence rules, chapter headings, general choice cues, the context
+ * cues that weaken a decision point match and the action verbs that raise narrative tension.
+ * Decision point category patterns live in the pattern packs (backend/patterns), per language.
+ */
+
+export const LANGUAGE_PACKS = {
+  en: {
+    name: 'English',
+    // Frequent function words, used to tell languages apart
+    stopwords: [
+      'the', 'and', 'of', 'to', 'was', 'he', 'she', 'it', 'that', 'his', 'her', 'with', 'had',
+      'for', 'you', 'but', 'not', 'they', 'at', 'on', 'said', 'were', 'be', 'would', 'have'
+    ],
+    sentenceRules: SENTENCE_RULES.en,
+    chapterPatterns: [
+      /^Chapter\s+\d+/im,
+      /^Chapter\s+[IVXLCDM]+/im,
+      /^Part\s+\d+/im
+    ],
+    // Context that weakens a match: negated ("there was no dilemma"), hypothetical ("if he had to
+    // choose"), reported ("they said that she chose") or remembered ("years ago, he had decided")
+    contextCues: {
+      negation: /\b(not|never|no|nor|without|hardly|nobody|nothing)\b|n't\b/i,
+      hypothetical: /\b(if|unless|suppose|supposing|imagine|imagined|wished|pretended)\b|\bwhat\s+if\b|\bas\s+if\b|\b(would|could|might|should)\s+have\b/i,
+      reportedSpeech: /\b(said|says|told\s+\w+|claimed|heard|reported|rumou?red)\s+that\b|\baccording\s+to\b|\brumou?r\s+had\s+it\b|\bthey\s+say\b/i,
+      flashback: /\b(years|months|long)\s+(ago|before)\b|\bback\s+then\b|\bremembered\b|\brecalled\b|\bused\s+to\b|\bhad\s+once\b|\bas\s+a\s+(child|boy|girl)\b/i
+    },
+    // General choice cues that boost confidence
+    choiceCues: [
+      /\bchoose\b/i,
+      /\bchoice\b/i,
+      /\bdecide\b/i,
+      /\bdecision\b/i,
+      /\beither\b.*\bor\b/i,
+      /\bnow\s+or\s+never\b/i,
+      /\bno\s+other\s+option\b/i,
+      /\bweigh(ing)?\s+the\s+consequences\b/i,
+      /\btrade\s+off\b/i,
+      /\bat\s+the\s+cost\s+of\b/i,
+      /\bmust\s+(choose|decide)\b/i,
+      /\bcould\s+(go|take|choose)\b/i
+    ],
+    // Verbs of physical action, matched as whole lowercase words
+    actionVerbs: [
+      'ran', 'rushed', 'raced', 'dashed', 'sprinted', 'jumped', 'leapt', 'leaped', 'dived', 'grabbed',
+      'seized', 'snatched', 'struck', 'hit', 'kicked', 'punched', 'fought', 'attacked', 'charged',
+      'chased', 'fled', 'escaped', 'scrambled', 'shouted', 'screamed', 'yelled', 'crashed', 'burst',
+      'slammed', 'smashed', 'hurled', 'threw', 'tore', 'shoved', 'dragged', 'stumbled', 'fell'
+    ]
+  },
+
+  es: {
+    name: 'Spanish',
+    stopwords: [
+      'el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'un', 'una', 'por', 'con', 'no', 'se',
+      'su', 'lo', 'para', 'como', 'pero', 'más', 'era', 'estaba', 'dijo', 'ella', 'él'
+    ],
+    sentenceRules: SENTENCE_RULES.es,
+    chapterPatterns: [
+      /^Cap[ií]tulo\s+(\d+|[IVXLCDM]+)/im,
+      /^Parte\s+(\d+|[IVXLCDM]+)/im
+    ],
+    contextCues: {
+      negation: /\b(no|nunca|jamás|ni|sin|tampoco|nadie|nada)\b/i,
+      hypothetical: /\b(si|imagina|imaginaba|habría|hubiera|hubiese)\b|\bojalá|\ba\s+menos\s+que\b|\bcomo\s+si\b/i,
+      reportedSpeech: /\b(dijo|dijeron|contó|contaron|decían|afirmaba)\s+que\b|\bsegún\b|\bse\s+rumoreaba\b/i,
+      flashback: /\bhace\s+(años|meses|mucho\s+tiempo)\b|\brecordaba\b|\brecordó|\bsolía\b|\bde\s+niñ[oa]\b/i
+    },
+    choiceCues: [
+      /\belegir\b|\beligió/i,
+      /\belecci[oó]n\b/i,
+      /\bdecidir\b|\bdecidió/i,
+      /\bdecisi[oó]n\b/i,
+      /\bo\s+bien\b.*\bo\b/i,
+      /\bahora\s+o\s+nunca\b/i,
+      /\bno\s+hab[ií]a\s+otra\s+opci[oó]n\b/i,
+      /\ba\s+costa\s+de\b/i,
+      /\bdeb[ií]a\s+(elegir|decidir)\b/i
+    ],
+    actionVerbs: [
+      'corrió', 'corrieron', 'saltó', 'huyó', 'escapó', 'agarró', 'arrebató', 'golpeó', 'luchó',
+      'atacó', 'persiguió', 'gritó', 'chilló', 'empujó', 'arrastró', 'lanzó', 'arrojó', 'cayó',
+      'tropezó', 'estalló', 'chocó', 'rompió', 'se abalanzó'
+    ]
+  },
+
+  fr: {
+    name: 'French',
+    stopwords: [
+      'le', 'la', 'les', 'de', 'des', 'et', 'un', 'une', 'que', 'qui', 'il', 'elle', 'ne', 'pas',
+      'est', 'était', 'dans', 'pour', 'sur', 'avec', 'au', 'du', 'se', 'dit', 'mais'
+    ],
+    sentenceRules: SENTENCE_RULES.fr,
+    chapterPatterns: [
+      /^Chapitre\s+(\d+|[IVXLCDM]+|premier)/im,
+      /^Partie\s+(\d+|[IVXLCDM]+)/im
+    ],
+    contextCues: {
+      negation: /\b(ne|pas|jamais|ni|sans|personne|rien|aucune?)\b|\bn'/i,
+      hypothetical: /\b(si|imaginait|aurait|aurais)\b|\bs'il\b|\bà\s+moins\s+que\b|\bcomme\s+si\b/i,
+      reportedSpeech: /\b(disait|racontait|affirmait|prétendait)\s+que\b|\bdit\s+que\b|\bselon\b|\bparaît-il\b/i,
+      flashback: /\bil\s+y\s+a\s+(des\s+années|longtemps)\b|\bse\s+souvenait\b|\bautrefois\b|\bjadis\b|\bquand\s+(il|elle)\s+était\s+(petit|petite|enfant)\b/i
+    },
+    choiceCues: [
+      /\bchoisir\b|\bchoisit\b/i,
+      /\bchoix\b/i,
+      /\bdécider\b|\bdécida\b/i,
+      /\bdécision\b/i,
+      /\bsoit\b.*\bsoit\b/i,
+      /\bmaintenant\s+ou\s+jamais\b/i,
+      /\b(ne\s+\w+\s+|n'\w+\s+)?pas\s+d'autre\s+(choix|option)\b/i,
+      /\bau\s+prix\s+de\b/i,
+      /\bdevait\s+(choisir|décider)\b/i
+    ],
+    actionVerbs: [
+      'courut', 'coururent', 'sauta', 'bondit', 'enfuit', 'échappa', 'saisit', 'attrapa', 'arracha',
+      'frappa', 'attaqua', 'poursuivit', 'cria', 'hurla', 'poussa', 'traîna', 'lança', 'jeta',
+      'tomba', 'trébucha', 'fracassa', 'claqua', 'se précipita'
+    ]
+  },
+
+  de: {
+    name: 'German',
+    stopwords: [
+      'der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'zu', 'den', 'dem', 'sie', 'er',
+      'es', 'mit', 'sich', 'auf', 'war', 'ich', 'von', 'auch', 'wie', 'aber', 'sagte', 'hatte'
+    ],
+    sentenceRules: SENTENCE_RULES.de,
+    chapterPatterns: [
+      /^Kapitel\s+(\d+|[IVXLCDM]+)/im,
+      /^(\d+)\.\s+Kapitel\b/im,
+      /^Teil\s+(\d+|[IVXLCDM]+)/im
+    ],
+    contextCues: {
+      negation: /\b(nicht|nie|niemals|kein|keine|keinen|keiner|ohne|weder|niemand|nichts)\b/i,
+      hypothetical: /\b(wenn|falls|würde|hätte|wäre)\b|\bals\s+ob\b|\bstell\s+dir\s+vor\b/i,
+      reportedSpeech: /\b(sagte|erzählte|behauptete)\s*,?\s+dass\b|\bangeblich\b|\blaut\b/i,
+      flashback: /\bvor\s+(vielen\s+)?(Jahren|Monaten|langer\s+Zeit)\b|\berinnerte\s+sich\b|\bdamals\b|\bfrüher\b/i
+    },
+    choiceCues: [
+      /\bwählen\b|\bwählte\b/i,
+      /\bWahl\b/i,
+      /\bentscheiden\b|\bentschied\b/i,
+      /\bEntscheidung\b/i,
+      /\bentweder\b.*\boder\b/i,
+      /\bjetzt\s+oder\s+nie\b/i,
+      /\bkeine\s+andere\s+Wahl\b/i,
+      /\bum\s+den\s+Preis\b/i,
+      /\bmusste\s+(wählen|entscheiden)\b/i
+    ],
+    actionVerbs: [
+      'rannte', 'rannten', 'lief', 'sprang', 'floh', 'flüchtete', 'packte', 'griff', 'riss', 'schlug',
+      'kämpfte', 'jagte', 'schrie', 'brüllte', 'stieß', 'zerrte', 'warf', 'schleuderte', 'stürzte',
+      'stolperte', 'krachte', 'knallte', 'zerschlug'
+    ]
+  }
+};
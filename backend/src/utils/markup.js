@@ -0,0 +1,89 @@
+/**
+ * Markup helpers shared by the document extractors
+ * Converts (X)HTML fragments into plain text with paragraph breaks preserved
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  laquo: '«',
+  raquo: '»',
+  shy: ''
+};
+
+// Elements whose boundaries start a new paragraph
+const BLOCK_ELEMENTS = 'p|div|h[1-6]|li|blockquote|section|article|aside|header|footer|tr|dt|dd|pre|figure|figcaption|table|ul|ol|hr';
+
+/**
+ * Checks that a number is a Unicode scalar value (in range and not a surrogate)
+ * @private
+ */
+function isValidCodePoint(codePoint) {
+  return Number.isInteger(codePoint) && codePoint <= 0x10FFFF && !(codePoint >= 0xD800 && codePoint <= 0xDFFF);
+}
+
+/**
+ * Decodes named and numeric character references
+ * @param {string} text - Text containing entities
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return isValidCodePoint(codePoint) ? String.fromCodePoint(codePoint) : match;
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+/**
+ * Strips markup from an (X)HTML document or fragment
+ * @param {string} markup - Raw (X)HTML
+ * @returns {string} Plain text with paragraphs separated by blank lines
+ */
+export function stripMarkup(markup) {
+  const text = markup
+    .replace(/<\?xml[\s\S]*?\?>/gi, '')
+    .replace(/<!DOCTYPE[\s\S]*?>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<head[\s\S]*?<\/head>/gi, '')
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(new RegExp(`</?(${BLOCK_ELEMENTS})(\\s[^>]*)?/?>`, 'gi'), '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Returns the trimmed text of the first element matching a tag name
+ * @param {string} markup - Raw (X)HTML
+ * @param {string} tagPattern - Tag name or alternation (e.g. 'h[1-3]')
+ * @returns {string|null} Element text, or null when absent
+ */
+export function firstElementText(markup, tagPattern) {
+  const match = markup.match(new RegExp(`<(${tagPattern})(\\s[^>]*)?>([\\s\\S]*?)</\\1>`, 'i'));
+  if (!match) return null;
+  const text = stripMarkup(match[3]).replace(/\s+/g, ' ').trim();
+  return text || null;
+}
@@ -0,0 +1,83 @@
+import { normalizeUnicode } from './encoding.js';
+
+/**
+ * Maps text that went through cleaning and preprocessing back to the source it came from
+ * Matching ignores whitespace, Unicode normalization and quote style, so passages can be found
+ * in the original upload even though TextParser collapsed spaces, dropped boilerplate or
+ * rejoined sentences.
+ */
+
+// Comparison keys for single characters, cached (books reuse a small alphabet)
+const keyCache = new Map();
+
+/**
+ * Reduces a character to what survives cleaning: no whitespace, no diacritic marks, straight quotes
+ * @private
+ */
+function characterKey(char) {
+  let key = keyCache.get(char);
+  if (key === undefined) {
+    key = normalizeUnicode(char).normalize('NFD').replace(/[\s\p{M}]/gu, '');
+    keyCache.set(char, key);
+  }
+  return key;
+}
+
+/**
+ * Builds the comparison key of a whole string
+ * @private
+ */
+function textKey(text) {
+  let key = '';
+  for (const char of text) key += characterKey(char);
+  return key;
+}
+
+/**
+ * Creates a locator for passages of a source text
+ * @param {string} source - The original text
+ * @returns {Object} { locate(text, from) } returning { start, end } offsets into source (end exclusive) or null
+ */
+export function createTextLocator(source) {
+  const keyStarts = [];
+  const keyEnds = [];
+  let keys = '';
+
+  for (let i = 0; i < source.length;) {
+    const char = String.fromCodePoint(source.codePointAt(i));
+    const key = characterKey(char);
+    for (let k = 0; k < key.length; k++) {
+      keyStarts.push(i);
+      keyEnds.push(i + char.length);
+    }
+    keys += key;
+    i += char.length;
+  }
+
+  // First key position at or after a source offset
+  const keyIndexAt = offset => {
+    let low = 0;
+    let high = keyStarts.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (keyStarts[mid] < offset) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+
+  return {
+    /**
+     * Finds the next occurrence of text in the source at or after the offset "from"
+     */
+    locate(text, from = 0) {
+      const key = textKey(text);
+      if (!key) return null;
+
+      const index = keys.indexOf(key, keyIndexAt(from));
+      if (index < 0) return null;
+
+      return { start: keyStarts[index], end: keyEnds[index + key.length - 1] };
+    }
+  };
+}
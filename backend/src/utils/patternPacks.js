@@ -0,0 +1,202 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+/**
+ * Decision point pattern packs
+ * Packs are JSON files (see backend/patterns/pack.schema.json) holding categories, their
+ * weights and examples, and their patterns per language. The bundled packs are loaded on
+ * first use, together with any packs in the directory named by PATTERN_PACKS_DIR.
+ */
+
+const BUNDLED_DIRECTORY = fileURLToPath(new URL('../../patterns', import.meta.url));
+
+const PACK_FIELDS = new Set(['$schema', 'id', 'name', 'version', 'description', 'default', 'genres', 'weight', 'categories']);
+const CATEGORY_FIELDS = new Set(['name', 'weight', 'examples', 'patterns']);
+
+// Compiled packs by id
+const packs = new Map();
+let loaded = false;
+
+/**
+ * Checks a pack against the pack schema, and that every pattern compiles
+ * @param {Object} pack - Parsed pack
+ * @returns {Array<string>} Problems found; empty when the pack is valid
+ */
+export function validatePatternPack(pack) {
+  const errors = [];
+  const isText = value => typeof value === 'string' && value.trim().length > 0;
+  const isTextList = value => Array.isArray(value) && value.length > 0 && value.every(isText);
+  const isPositive = value => typeof value === 'number' && value > 0;
+
+  if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+    return ['pack must be an object'];
+  }
+
+  Object.keys(pack).filter(key => !PACK_FIELDS.has(key)).forEach(key => errors.push(`unknown field "${key}"`));
+  if (!isText(pack.id) || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(pack.id)) errors.push('id must be lowercase words joined by hyphens');
+  if (!isText(pack.name)) errors.push('name is required');
+  if (!isText(pack.version) || !/^\d+\.\d+\.\d+$/.test(pack.version)) errors.push('version must look like 1.0.0');
+  if (pack.description !== undefined && typeof pack.description !== 'string') errors.push('description must be a string');
+  if (pack.default !== undefined && typeof pack.default !== 'boolean') errors.push('default must be true or false');
+  if (pack.genres !== undefined && !(Array.isArray(pack.genres) && pack.genres.every(isText))) errors.push('genres must be a list of names');
+  if (pack.weight !== undefined && !isPositive(pack.weight)) errors.push('weight must be a positive number');
+
+  if (!Array.isArray(pack.categories) || pack.categories.length === 0) {
+    errors.push('categories must be a non-empty list');
+    return errors;
+  }
+
+  pack.categories.forEach((category, index) => {
+    const where = `categories[${index}]`;
+    if (!category || typeof category !== 'object') {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+
+    Object.keys(category).filter(key => !CATEGORY_FIELDS.has(key)).forEach(key => errors.push(`${where}: unknown field "${key}"`));
+    if (!isText(category.name)) errors.push(`${where}.name is required`);
+    if (!isPositive(category.weight)) errors.push(`${where}.weight must be a positive number`);
+    if (!isTextList(category.examples)) errors.push(`${where}.examples must be a non-empty list of names`);
+
+    const languages = category.patterns && typeof category.patterns === 'object' ? Object.keys(category.patterns) : [];
+    if (languages.length === 0) {
+      errors.push(`${where}.patterns must list patterns for at least one language`);
+      return;
+    }
+
+    for (const code of languages) {
+      if (!/^[a-z]{2,3}$/.test(code)) errors.push(`${where}.patterns: "${code}" is not a language code`);
+      if (!isTextList(category.patterns[code])) {
+        errors.push(`${where}.patterns.${code} must be a non-empty list of patterns`);
+        continue;
+      }
+      for (const source of category.patterns[code]) {
+        try {
+          new RegExp(source, 'i');
+        } catch (error) {
+          errors.push(`${where}.patterns.${code}: ${error.message}`);
+        }
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validates and registers a pack, replacing any pack with the same id
+ * @param {Object} pack - Parsed pack
+ * @returns {Object} The compiled pack
+ */
+export function registerPatternPack(pack) {
+  const errors = validatePatternPack(pack);
+  if (errors.length > 0) {
+    throw new Error(`Invalid pattern pack "${pack && pack.id}": ${errors.join('; ')}`);
+  }
+
+  const weight = pack.weight || 1;
+  const compiled = {
+    id: pack.id,
+    name: pack.name,
+    version: pack.version,
+    description: pack.description || '',
+    default: Boolean(pack.default),
+    genres: (pack.genres || []).map(genre => genre.toLowerCase()),
+    weight,
+    categories: pack.categories.map(category => ({
+      name: category.name,
+      pack: pack.id,
+      // Pack weight scales every category it holds
+      weight: Math.round(category.weight * weight * 100) / 100,
+      examples: category.examples,
+      patterns: Object.fromEntries(Object.entries(category.patterns).map(([code, sources]) =>
+        [code, sources.map(source => new RegExp(source, 'i'))]
+      ))
+    }))
+  };
+
+  packs.set(compiled.id, compiled);
+  return compiled;
+}
+
+/**
+ * Loads every pack file (*.json, except schemas) in a directory
+ * Invalid files are logged and skipped
+ * @param {string} directory - Directory to read
+ * @returns {Array<string>} Ids of the packs loaded
+ */
+export function loadPatternPacks(directory) {
+  const files = fs.readdirSync(directory)
+    .filter(file => file.endsWith('.json') && !file.endsWith('.schema.json'))
+    .sort();
+  const ids = [];
+
+  for (const file of files) {
+    try {
+      const pack = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+      ids.push(registerPatternPack(pack).id);
+    } catch (error) {
+      logger.error('Skipping pattern pack', { file, directory, error: error.message });
+    }
+  }
+
+  logger.debug('Pattern packs loaded', { directory, packs: ids });
+  return ids;
+}
+
+/**
+ * Loads the bundled packs and the PATTERN_PACKS_DIR packs once
+ * @private
+ */
+function ensureLoaded() {
+  if (loaded) return;
+  loaded = true;
+
+  loadPatternPacks(BUNDLED_DIRECTORY);
+  if (process.env.PATTERN_PACKS_DIR) {
+    loadPatternPacks(process.env.PATTERN_PACKS_DIR);
+  }
+}
+
+/**
+ * Lists the available packs
+ * @returns {Array} Pack summaries ({ id, name, version, description, default, genres, weight, categories, languages })
+ */
+export function listPatternPacks() {
+  ensureLoaded();
+
+  return [...packs.values()].map(pack => ({
+    id: pack.id,
+    name: pack.name,
+    version: pack.version,
+    description: pack.description,
+    default: pack.default,
+    genres: pack.genres,
+    weight: pack.weight,
+    categories: pack.categories.map(category => category.name),
+    languages: [...new Set(pack.categories.flatMap(category => Object.keys(category.patterns)))]
+  }));
+}
+
+/**
+ * Picks the packs that apply to a job
+ * Named packs are used as given; otherwise the default packs plus the packs for the job's genre
+ * @param {Object} selection - { ids, genre }
+ * @returns {Array} Compiled packs
+ */
+export function resolvePatternPacks({ ids, genre } = {}) {
+  ensureLoaded();
+
+  if (Array.isArray(ids) && ids.length > 0) {
+    const unknown = ids.filter(id => !packs.has(id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown pattern packs: ${unknown.join(', ')}`);
+    }
+    return ids.map(id => packs.get(id));
+  }
+
+  const wanted = typeof genre === 'string' ? genre.toLowerCase() : null;
+  return [...packs.values()].filter(pack => pack.default || (wanted && pack.genres.includes(wanted)));
+}
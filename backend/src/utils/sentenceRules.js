@@ -0,0 +1,59 @@
+/**
+ * Per-language rules for SentenceSegmenter
+ * Abbreviations are listed lowercase and without their final period; dotted forms
+ * ("e.g") keep their inner periods.
+ */
+
+// Punctuation shared by most languages
+const CLOSING_PUNCTUATION = `"'”’)]»›`;
+const OPENING_PUNCTUATION = `"'“‘([«‹`;
+
+export const SENTENCE_RULES = {
+  en: {
+    // Never end a sentence: titles and abbreviations that are followed by more of the sentence
+    abbreviations: [
+      'mr', 'mrs', 'ms', 'mx', 'dr', 'prof', 'rev', 'fr', 'sr', 'jr', 'st', 'sgt', 'cpl', 'pvt',
+      'lt', 'capt', 'cmdr', 'col', 'gen', 'adm', 'maj', 'gov', 'sen', 'rep', 'pres', 'hon',
+      'mt', 'ft', 'ave', 'blvd', 'rd', 'no', 'nos', 'vol', 'vols', 'ch', 'fig', 'pp', 'p',
+      'approx', 'dept', 'est', 'vs', 'cf', 'e.g', 'i.e', 'viz', 'inc', 'ltd', 'co', 'corp',
+      'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec'
+    ],
+    // May end a sentence when the next word starts one
+    sentenceFinalAbbreviations: ['etc', 'a.m', 'p.m', 'u.s', 'u.k', 'b.c', 'a.d'],
+    closingPunctuation: CLOSING_PUNCTUATION,
+    openingPunctuation: OPENING_PUNCTUATION
+  },
+
+  fr: {
+    abbreviations: [
+      'm', 'mm', 'mme', 'mmes', 'mlle', 'mlles', 'dr', 'pr', 'me', 'mgr', 'st', 'ste', 'av',
+      'bd', 'n°', 'no', 'vol', 'chap', 'p', 'cf', 'env', 'c.-à-d', 'p.ex', 'janv', 'févr',
+      'avr', 'juil', 'sept', 'oct', 'nov', 'déc'
+    ],
+    sentenceFinalAbbreviations: ['etc'],
+    closingPunctuation: CLOSING_PUNCTUATION,
+    openingPunctuation: OPENING_PUNCTUATION
+  },
+
+  de: {
+    abbreviations: [
+      'hr', 'hrn', 'fr', 'frl', 'dr', 'prof', 'st', 'nr', 'bd', 'kap', 's', 'vgl', 'z.b',
+      'd.h', 'u.a', 'bzw', 'ca', 'evtl', 'ggf', 'inkl', 'usw', 'sog', 'geb', 'jan', 'feb',
+      'aug', 'sept', 'okt', 'nov', 'dez'
+    ],
+    sentenceFinalAbbreviations: ['usw', 'etc'],
+    closingPunctuation: `${CLOSING_PUNCTUATION}“‘`,
+    openingPunctuation: `${OPENING_PUNCTUATION}„‚`
+  },
+
+  es: {
+    abbreviations: [
+      'sr', 'sra', 'srta', 'sres', 'dr', 'dra', 'd', 'dña', 'lic', 'ing', 'prof', 'sto', 'sta',
+      'av', 'núm', 'no', 'pág', 'cap', 'vol', 'p.ej', 'ud', 'uds', 'vd', 'vds', 'ene', 'feb',
+      'abr', 'ago', 'sept', 'oct', 'nov', 'dic'
+    ],
+    sentenceFinalAbbreviations: ['etc'],
+    closingPunctuation: CLOSING_PUNCTUATION,
+    openingPunctuation: `${OPENING_PUNCTUATION}¿¡`
+  }
+};
@@ -0,0 +1,57 @@
+/**
+ * TextRank over sentences
+ * Sentences are nodes of a graph whose edges weigh the content words two sentences share;
+ * PageRank over that graph scores the sentences that most of the passage talks about highest.
+ * See Mihalcea & Tarau, "TextRank: Bringing Order into Texts" (2004).
+ */
+
+// Letters and digits, so quotes and punctuation never count as shared words
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+(?:['’][\p{L}]+)?/gu;
+
+/**
+ * Lists the content words of a sentence, lowercased, without stopwords
+ * @private
+ */
+function contentWords(sentence, stopwords) {
+  return (sentence.toLowerCase().match(WORD_PATTERN) || [])
+    .filter(word => word.length > 1 && !stopwords.has(word));
+}
+
+/**
+ * Similarity of two sentences: shared words over the log of their lengths
+ * @private
+ */
+function similarity(a, b) {
+  if (a.length < 2 || b.length < 2) return 0;
+  const words = new Set(b);
+  const shared = new Set(a.filter(word => words.has(word))).size;
+  return shared > 0 ? shared / (Math.log(a.length) + Math.log(b.length)) : 0;
+}
+
+/**
+ * Scores sentences by how central they are to the passage
+ * @param {Array} sentences - Sentences, in order
+ * @param {Object} options - { stopwords (list of lowercase words), damping, iterations, tolerance }
+ * @returns {Array} One score per sentence, higher for more central sentences
+ */
+export function rankSentences(sentences, options = {}) {
+  const damping = options.damping || 0.85;
+  const iterations = options.iterations || 50;
+  const tolerance = options.tolerance || 1e-4;
+  const stopwords = new Set(options.stopwords || []);
+
+  const words = sentences.map(sentence => contentWords(sentence, stopwords));
+  const weights = words.map((a, i) => words.map((b, j) => (i === j ? 0 : similarity(a, b))));
+  const totals = weights.map(row => row.reduce((sum, weight) => sum + weight, 0));
+
+  let scores = sentences.map(() => 1);
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const next = scores.map((score, i) => (1 - damping) + damping * weights.reduce(
+      (sum, row, j) => (totals[j] > 0 ? sum + row[i] / totals[j] * scores[j] : sum), 0));
+    const change = next.reduce((sum, score, i) => sum + Math.abs(score - scores[i]), 0);
+    scores = next;
+    if (change < tolerance) break;
+  }
+
+  return scores;
+}
@@ -0,0 +1,46 @@
+/**
+ * Tokenizers used to budget chunk sizes
+ * A tokenizer is any object with a name and a count(text) method returning the number of
+ * model tokens in text. Pass one as the TextParser "tokenizer" option to use a model's real
+ * tokenizer; the approximate one below needs no dependencies.
+ */
+
+// Word pieces and single punctuation marks, roughly how BPE tokenizers split prose
+const PIECE_PATTERN = /[\p{L}\p{M}\p{N}]+|[^\s\p{L}\p{M}\p{N}]/gu;
+
+/**
+ * Creates a tokenizer that estimates BPE token counts for prose
+ * Short words count as one token, longer ones as one per charsPerToken characters,
+ * and every punctuation mark as one token
+ * @param {Object} options - { charsPerToken }
+ * @returns {Object} Tokenizer ({ name, count })
+ */
+export function createApproximateTokenizer(options = {}) {
+  const charsPerToken = options.charsPerToken || 4;
+
+  return {
+    name: 'approximate',
+    count(text) {
+      if (!text) return 0;
+
+      let tokens = 0;
+      for (const [piece] of text.matchAll(PIECE_PATTERN)) {
+        tokens += Math.max(1, Math.ceil(piece.length / charsPerToken));
+      }
+      return tokens;
+    }
+  };
+}
+
+/**
+ * Checks that a value implements the tokenizer interface
+ * @param {Object} tokenizer - Candidate tokenizer
+ * @returns {Object} The tokenizer
+ * @throws {TypeError} When count is missing
+ */
+export function assertTokenizer(tokenizer) {
+  if (!tokenizer || typeof tokenizer.count !== 'function') {
+    throw new TypeError('Tokenizer must provide a count(text) method');
+  }
+  return tokenizer;
+}
@@ -47,7 +47,7 @@ const AIAnalysisStep = ({ storyData, updateStoryData, onNext, onPrev }) => {
 
   // Real AI analysis process using Story Weaver backend
   useEffect(() => {
-    if (!storyData || !storyData.bookContent) {
+    if (!storyData || (!storyData.bookFile && !storyData.bookContent)) {
       setError('No book data provided for analysis');
       setIsAnalyzing(false);
       return;
@@ -56,19 +56,7 @@ const AIAnalysisStep = ({ storyData, updateStoryData, onNext, onPrev }) => {
     const runAnalysis = async () => {
       try {
         // Start the Story Weaver process
-        const response = await fetch('http://localhost:3001/api/weaver/process', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            bookContent: storyData.bookContent,
-            title: storyData.title,
-            author: storyData.author,
-            targetAge: storyData.targetAge,
-            persona: storyData.persona || 'adventurous'
-          })
-        });
+        const response = await startProcess();
 
         if (!response.ok) {
           const errorData = await response.json();
@@ -130,13 +118,58 @@ const AIAnalysisStep = ({ storyData, updateStoryData, onNext, onPrev }) => {
     };
 
     runAnalysis();
-  }, [storyData, updateStoryData]);
+  }, [
+    storyData.bookFile,
+    storyData.bookContent,
+    storyData.title,
+    storyData.author,
+    storyData.targetAge,
+    storyData.persona,
+    updateStoryData
+  ]);
+
+  /**
+   * Starts a Story Weaver run
+   * Uploaded files go to the multipart upload route so the backend can extract the whole
+   * book (any supported format and encoding); typed text is posted as JSON
+   */
+  const startProcess = () => {
+    const persona = storyData.persona || 'adventurous';
+
+    if (storyData.bookFile) {
+      const formData = new FormData();
+      formData.append('file', storyData.bookFile);
+      formData.append('title', storyData.title);
+      formData.append('author', storyData.author);
+      formData.append('targetAge', storyData.targetAge);
+      formData.append('persona', persona);
+
+      return fetch('http://localhost:3001/api/weaver/upload', {
+        method: 'POST',
+        body: formData
+      });
+    }
+
+    return fetch('http://localhost:3001/api/weaver/process', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        bookContent: storyData.bookContent,
+        title: storyData.title,
+        author: storyData.author,
+        targetAge: storyData.targetAge,
+        persona
+      })
+    });
+  };
 
   /**
    * Transform backend analysis results to frontend format
    */
   const transformBackendResults = (backendResult) => {
-    const { metadata, structure } = backendResult;
+    const { metadata, structure, characters: roster = [], timeline = [], tension = null } = backendResult;
     
     // Extract themes from structure scenes
     const themes = [];
@@ -155,10 +188,18 @@ const AIAnalysisStep = ({ storyData, updateStoryData, onNext, onPrev }) => {
       });
     }
     
-    // Extract characters from structure
-    const characters = [
-      { name: 'Main Character', role: 'Protagonist' }
-    ];
+    // Character roster extracted by the backend, most prominent first
+    const roleLabels = {
+      protagonist: 'Protagonist',
+      supporting: 'Supporting Character',
+      minor: 'Minor Character'
+    };
+    const characters = roster.slice(0, 6).map(character => ({
+      name: character.name,
+      role: roleLabels[character.role] || 'Character',
+      aliases: character.aliases,
+      mentionCount: character.mentionCount
+    }));
     
     return {
       title: metadata.title,
@@ -166,7 +207,11 @@ const AIAnalysisStep = ({ storyData, updateStoryData, onNext, onPrev }) => {
       estimatedReadingTime: Math.ceil(metadata.stats.wordCount / 200),
       confidence: 0.92, // High confidence from real AI
       themes: themes.length > 0 ? themes : ['Adventure', 'Decision-making'],
-      characters,
+      characters: characters.length > 0 ? characters : [
+        { name: 'Main Character', role: 'Protagonist' }
+      ],
+      timeline,
+      tensionCurve: tension ? tension.curve : [],
       decisionPoints: metadata.stats.decisionPointCount,
       estimatedGameLength: `${Math.ceil(metadata.stats.decisionPointCount * 1.5)}-${Math.ceil(metadata.stats.decisionPointCount * 2.5)} minutes`,
       complexity: metadata.stats.wordCount > 5000 ? 'Advanced' : 'Intermediate',
@@ -2,37 +2,28 @@ import React, { useCallback, useState } from 'react'
 import { useDropzone } from 'react-dropzone'
 import { Upload, FileText, X, BookOpen, User, Users, AlertCircle } from 'lucide-react'
 import toast from 'react-hot-toast'
+import { cleanMetadataInput } from '../utils/sanitize'
+
+const SUPPORTED_EXTENSIONS = /\.(txt|md|pdf|epub|docx|rtf)$/i
+
+// Maximum lengths of the metadata inputs
+const METADATA_LIMITS = { title: 100, author: 50 }
 
 /**
  * BookUploadStep Component - First step in the story creation workflow
  * Handles file upload and basic story metadata input
- * Security: All inputs are sanitized and validated to prevent XSS attacks
+ * Security: Text is stored raw and only escaped where it is rendered (see utils/sanitize)
  */
 const BookUploadStep = ({ storyData, updateStoryData }) => {
   const [dragActive, setDragActive] = useState(false)
-  const [uploadedFile, setUploadedFile] = useState(null)
+  const [uploadedFile, setUploadedFile] = useState(storyData.bookFile || null)
 
   /**
-   * Sanitizes text input to prevent XSS attacks
-   * @param {string} input - Raw text input
-   * @returns {string} - Sanitized text
+   * Handles file drop
+   * The file itself is kept and later sent to the backend, which detects its format and
+   * encoding and extracts the full text (see AIAnalysisStep)
    */
-  const sanitizeInput = useCallback((input) => {
-    if (typeof input !== 'string') return ''
-    return input
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#x27;')
-      .replace(/\//g, '&#x2F;')
-      .trim()
-      .substring(0, 1000) // Limit length to prevent abuse
-  }, [])
-
-  /**
-   * Handles file drop and upload
-   */
-  const onDrop = useCallback(async (acceptedFiles) => {
+  const onDrop = useCallback((acceptedFiles) => {
     const file = acceptedFiles[0]
     if (!file) return
 
@@ -43,55 +34,31 @@ const BookUploadStep = ({ storyData, updateStoryData }) => {
     }
 
     // Validate file type
-    const allowedTypes = ['text/plain', 'text/markdown', 'application/pdf']
-    if (!allowedTypes.includes(file.type) && !file.name.match(/\.(txt|md|pdf)$/i)) {
-      toast.error('Please upload a text file (.txt, .md, or .pdf)')
+    if (!file.name.match(SUPPORTED_EXTENSIONS)) {
+      toast.error('Please upload a .txt, .md, .pdf, .epub, .docx or .rtf file')
       return
     }
 
-    try {
-      setUploadedFile(file)
-      
-      // Read file content
-      const reader = new FileReader()
-      reader.onload = (e) => {
-        const content = e.target.result
-        
-        // Sanitize file content
-        const sanitizedContent = sanitizeInput(content)
-        
-        if (sanitizedContent.length < 100) {
-          toast.error('Story content is too short. Please provide at least 100 characters.')
-          return
-        }
+    setUploadedFile(file)
+    updateStoryData({
+      bookFile: file,
+      bookContent: '',
+      title: storyData.title || file.name.replace(/\.[^/.]+$/, "")
+    })
 
-        updateStoryData({
-          bookContent: sanitizedContent,
-          title: storyData.title || file.name.replace(/\.[^/.]+$/, "")
-        })
-        
-        toast.success('File uploaded successfully!')
-      }
-      
-      reader.onerror = () => {
-        toast.error('Error reading file')
-        setUploadedFile(null)
-      }
-      
-      reader.readAsText(file)
-    } catch (error) {
-      console.error('File upload error:', error)
-      toast.error('Error uploading file')
-      setUploadedFile(null)
-    }
-  }, [updateStoryData, sanitizeInput, storyData.title])
+    toast.success('File uploaded successfully!')
+  }, [updateStoryData, storyData.title])
 
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     accept: {
       'text/plain': ['.txt'],
       'text/markdown': ['.md'],
-      'application/pdf': ['.pdf']
+      'application/pdf': ['.pdf'],
+      'application/epub+zip': ['.epub'],
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+      'application/rtf': ['.rtf'],
+      'text/rtf': ['.rtf']
     },
     maxFiles: 1,
     onDragEnter: () => setDragActive(true),
@@ -102,21 +69,24 @@ const BookUploadStep = ({ storyData, updateStoryData }) => {
    * Handles manual text input
    */
   const handleTextChange = (e) => {
-    const sanitizedText = sanitizeInput(e.target.value)
-    updateStoryData({ bookContent: sanitizedText })
-    
-    // Clear uploaded file if user starts typing
-    if (uploadedFile && sanitizedText !== storyData.bookContent) {
+    const text = e.target.value
+
+    // Typed text replaces an uploaded file
+    if (uploadedFile && text !== storyData.bookContent) {
       setUploadedFile(null)
+      updateStoryData({ bookContent: text, bookFile: null })
+      return
     }
+
+    updateStoryData({ bookContent: text })
   }
 
   /**
    * Handles metadata input changes
    */
   const handleMetadataChange = (field, value) => {
-    const sanitizedValue = sanitizeInput(value)
-    updateStoryData({ [field]: sanitizedValue })
+    const cleanedValue = METADATA_LIMITS[field] ? cleanMetadataInput(value, METADATA_LIMITS[field]) : value
+    updateStoryData({ [field]: cleanedValue })
   }
 
   /**
@@ -124,7 +94,7 @@ const BookUploadStep = ({ storyData, updateStoryData }) => {
    */
   const removeFile = () => {
     setUploadedFile(null)
-    updateStoryData({ bookContent: '' })
+    updateStoryData({ bookContent: '', bookFile: null })
     toast.success('File removed')
   }
 
@@ -146,7 +116,7 @@ const BookUploadStep = ({ storyData, updateStoryData }) => {
           DATA_INTAKE_MODULE
         </h3>
         <p className="text-slate-400 font-mono text-sm">
-          Upload source material or input narrative data directly. Supports .txt, .md, .pdf formats.
+          Upload source material or input narrative data directly. Supports .txt, .md, .pdf, .epub, .docx, .rtf formats.
         </p>
       </div>
 
@@ -178,7 +148,7 @@ const BookUploadStep = ({ storyData, updateStoryData }) => {
                   Drag source file or CLICK to browse • MAX_SIZE: 10MB
                 </p>
                 <p className="text-xs text-slate-500 font-mono">
-                  SUPPORTED: .txt | .md | .pdf
+                  SUPPORTED: .txt | .md | .pdf | .epub | .docx | .rtf
                 </p>
               </div>
             )}
@@ -275,7 +245,7 @@ const BookUploadStep = ({ storyData, updateStoryData }) => {
               onChange={(e) => handleMetadataChange('title', e.target.value)}
               placeholder=">>> INPUT_STORY_TITLE"
               className="w-full px-4 py-3 bg-slate-800/50 border border-slate-700 rounded-lg text-white font-mono placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-blue-400/50 focus:border-blue-400/50 transition-all"
-              maxLength="100"
+              maxLength={METADATA_LIMITS.title}
             />
           </div>
 
@@ -292,7 +262,7 @@ const BookUploadStep = ({ storyData, updateStoryData }) => {
                 onChange={(e) => handleMetadataChange('author', e.target.value)}
                 placeholder=">>> AUTHOR_IDENTIFIER"
                 className="w-full pl-10 pr-4 py-3 bg-slate-800/50 border border-slate-700 rounded-lg text-white font-mono placeholder-slate-500 focus:outline-none focus:ring-2 focus:ring-blue-400/50 focus:border-blue-400/50 transition-all"
-                maxLength="50"
+                maxLength={METADATA_LIMITS.author}
               />
             </div>
           </div>
@@ -1,6 +1,7 @@
 import React, { useState } from 'react'
 import { Package, Download, Loader, Eye } from 'lucide-react'
 import toast from 'react-hot-toast'
+import { escapeComment, escapeHtml } from '../utils/sanitize'
 
 const GenerateAppStep = ({ storyData, updateStoryData, onPrev }) => {
   const [isGenerating, setIsGenerating] = useState(false)
@@ -104,7 +105,7 @@ const GenerateAppStep = ({ storyData, updateStoryData, onPrev }) => {
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${storyData.title || 'Interactive Story'}</title>
+    <title>${escapeHtml(storyData.title || 'Interactive Story')}</title>
     <link rel="stylesheet" href="styles.css">
 </head>
 <body>
@@ -115,7 +116,7 @@ const GenerateAppStep = ({ storyData, updateStoryData, onPrev }) => {
   }
 
   const generateStoryStyles = () => {
-    return `/* Generated styles for ${storyData.title} */
+    return `/* Generated styles for ${escapeComment(storyData.title)} */
 body {
     font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
     margin: 0;
@@ -148,11 +149,18 @@ body {
 
 .choice-button:hover {
     background: #45a049;
+}
+
+.scene-setting {
+    margin-top: -10px;
+    color: #666;
+    font-style: italic;
+    text-transform: capitalize;
 }`
   }
 
   const generateStoryScript = () => {
-    return `// Generated JavaScript for ${storyData.title}
+    return `// Generated JavaScript for ${escapeComment(storyData.title)}
 // Load story data and initialize the interactive story player
 fetch('story.json')
     .then(response => response.json())
@@ -164,6 +172,13 @@ fetch('story.json')
         console.error('Failed to load story:', error);
     });
 
+// Story text is stored raw, so escape it before writing it into the page
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#x27;'
+    })[char]);
+}
+
 // Story Player Class
 class StoryPlayer {
     constructor(storyData) {
@@ -185,17 +200,23 @@ class StoryPlayer {
             return;
         }
 
-        let html = \`<h1>\${scene.title}</h1>\`;
-        html += \`<p>\${scene.description}</p>\`;
+        let html = \`<h1>\${escapeHtml(scene.title)}</h1>\`;
+        if (scene.setting) {
+            html += \`<p class="scene-setting">\${escapeHtml(scene.setting)}</p>\`;
+        }
+        html += \`<p>\${escapeHtml(scene.description)}</p>\`;
         
         if (!scene.is_end_scene && scene.choices) {
-            html += \`<h3>\${scene.decisionPrompt}</h3>\`;
+            html += \`<h3>\${escapeHtml(scene.decisionPrompt)}</h3>\`;
             scene.choices.forEach((choice, index) => {
-                html += \`<button class="choice-button" onclick="player.makeChoice('\${choice.nextScene}')">\${choice.text}</button>\`;
+                html += \`<button class="choice-button" data-next-scene="\${escapeHtml(choice.nextScene)}">\${escapeHtml(choice.text)}</button>\`;
             });
         }
         
         app.innerHTML = html;
+        app.querySelectorAll('.choice-button').forEach(button => {
+            button.addEventListener('click', () => this.makeChoice(button.dataset.nextScene));
+        });
     }
 
     makeChoice(nextScene) {
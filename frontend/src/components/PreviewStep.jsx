@@ -1,5 +1,10 @@
 import React, { useState, useEffect } from 'react'
-import { Eye, BookOpen } from 'lucide-react'
+import { Eye, BookOpen, Clock, Activity } from 'lucide-react'
+
+// Tension chart size, in SVG units
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 140;
+const CHART_PADDING = 10;
 
 const PreviewStep = ({ storyData, updateStoryData, onPrev, onNext }) => {
   const [storyStructure, setStoryStructure] = useState(null);
@@ -115,6 +120,20 @@ const PreviewStep = ({ storyData, updateStoryData, onPrev, onNext }) => {
   }
 
   const analysis = storyData.analysis;
+  const timeline = analysis.timeline || [];
+  
+  // Decision points that sit on a plot event, and major beats without one
+  const pointsOnEvents = new Set(timeline.flatMap(event => event.decisionPointIds || []));
+  const uncoveredBeats = timeline.filter(event => event.isMajorBeat && !(event.decisionPointIds || []).length);
+  
+  // Tension per chunk, from calm (bottom) to tense (top), with the chunks holding decision points marked
+  const tensionCurve = analysis.tensionCurve || [];
+  const chartX = index => CHART_PADDING + (tensionCurve.length > 1
+    ? index / (tensionCurve.length - 1) * (CHART_WIDTH - 2 * CHART_PADDING)
+    : (CHART_WIDTH - 2 * CHART_PADDING) / 2);
+  const chartY = tension => CHART_HEIGHT - CHART_PADDING - tension * (CHART_HEIGHT - 2 * CHART_PADDING);
+  const tensionLine = tensionCurve.map((entry, index) => `${chartX(index)},${chartY(entry.tension)}`).join(' ');
+  const pointsAtPeaks = tensionCurve.filter(entry => entry.isPeak && entry.decisionPointIds?.length > 0).length;
 
   return (
     <div className="space-y-6">
@@ -182,6 +201,101 @@ const PreviewStep = ({ storyData, updateStoryData, onPrev, onNext }) => {
         </div>
       </div>
 
+      {/* Timeline */}
+      {timeline.length > 0 && (
+        <div className="bg-white rounded-xl border border-gray-200 p-6">
+          <div className="flex items-center mb-4">
+            <Clock className="w-6 h-6 text-primary-600 mr-2" />
+            <h3 className="text-lg font-semibold">Story Timeline</h3>
+          </div>
+          
+          <p className="text-sm text-gray-600 mb-4">
+            {pointsOnEvents.size} of {analysis.decisionPoints} decision points fall on plot events
+            {uncoveredBeats.length > 0 && `; ${uncoveredBeats.length} major beats have no decision point`}.
+          </p>
+          
+          <ol className="space-y-2 max-h-80 overflow-y-auto">
+            {timeline.map((event) => (
+              <li
+                key={event.id}
+                className={`flex items-start p-3 rounded-lg ${event.isMajorBeat ? 'bg-amber-50' : 'bg-gray-50'}`}
+              >
+                <span className="w-6 text-xs text-gray-500 mt-0.5">{event.order + 1}</span>
+                <div className="flex-1">
+                  <p className="text-sm text-gray-800">{event.description}</p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {[event.type, event.characters?.join(', '), event.setting].filter(Boolean).join(' · ')}
+                  </p>
+                </div>
+                <div className="flex flex-col items-end gap-1 text-xs ml-2">
+                  {event.isMajorBeat && (
+                    <span className="px-2 py-1 bg-amber-100 text-amber-800 rounded">Major beat</span>
+                  )}
+                  {event.decisionPointIds?.length > 0 && (
+                    <span className="px-2 py-1 bg-green-100 text-green-700 rounded">Decision point</span>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+
+      {/* Tension Curve */}
+      {tensionCurve.length > 1 && (
+        <div className="bg-white rounded-xl border border-gray-200 p-6">
+          <div className="flex items-center mb-4">
+            <Activity className="w-6 h-6 text-primary-600 mr-2" />
+            <h3 className="text-lg font-semibold">Tension Curve</h3>
+          </div>
+          
+          <p className="text-sm text-gray-600 mb-4">
+            {tensionCurve.filter(entry => entry.isPeak).length} tension peaks; {pointsAtPeaks} of them hold a decision point.
+          </p>
+          
+          <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-40" role="img" aria-label="Story tension by chunk">
+            <line
+              x1={CHART_PADDING}
+              y1={CHART_HEIGHT - CHART_PADDING}
+              x2={CHART_WIDTH - CHART_PADDING}
+              y2={CHART_HEIGHT - CHART_PADDING}
+              stroke="#e5e7eb"
+            />
+            {tensionCurve.map((entry, index) => entry.decisionPointIds?.length > 0 && (
+              <line
+                key={`point-${entry.chunkId}`}
+                x1={chartX(index)}
+                y1={CHART_PADDING}
+                x2={chartX(index)}
+                y2={CHART_HEIGHT - CHART_PADDING}
+                stroke="#16a34a"
+                strokeDasharray="4 3"
+              />
+            ))}
+            <polyline points={tensionLine} fill="none" stroke="#0967d2" strokeWidth="2" />
+            {tensionCurve.map((entry, index) => (
+              <circle
+                key={entry.chunkId}
+                cx={chartX(index)}
+                cy={chartY(entry.tension)}
+                r={entry.isPeak ? 5 : 3}
+                fill={entry.decisionPointIds?.length > 0 ? '#16a34a' : entry.isPeak ? '#d97706' : '#0967d2'}
+              >
+                <title>
+                  {`${entry.sectionTitle || `Chunk ${entry.chunkIndex + 1}`}: tension ${Math.round(entry.tension * 100)}%` +
+                    (entry.decisionPointIds?.length > 0 ? `, ${entry.decisionPointIds.length} decision point(s)` : '')}
+                </title>
+              </circle>
+            ))}
+          </svg>
+          
+          <div className="flex gap-4 text-xs text-gray-500 mt-2">
+            <span><span className="inline-block w-2 h-2 rounded-full bg-amber-600 mr-1" />Tension peak</span>
+            <span><span className="inline-block w-2 h-2 rounded-full bg-green-600 mr-1" />Decision point</span>
+          </div>
+        </div>
+      )}
+
       {/* Story Structure Preview */}
       {storyStructure && (
         <div className="bg-white rounded-xl border border-gray-200 p-6">
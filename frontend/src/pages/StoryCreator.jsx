@@ -1,4 +1,4 @@
-import React, { useState } from 'react'
+import React, { useCallback, useState } from 'react'
 import { ChevronLeft, ChevronRight, Check } from 'lucide-react'
 import BookUploadStep from '../components/BookUploadStep'
 import AIAnalysisStep from '../components/AIAnalysisStep'
@@ -9,12 +9,13 @@ import toast from 'react-hot-toast'
 /**
  * StoryCreator Component - Main workflow for creating interactive stories
  * Multi-step process: Upload -> AI Analysis -> Preview -> Generate
- * Security: All user inputs are sanitized and validated at each step
+ * Security: User text is kept raw in state and escaped only where it is rendered
  */
 const StoryCreator = () => {
   const [currentStep, setCurrentStep] = useState(0)
   const [storyData, setStoryData] = useState({
     bookContent: '',
+    bookFile: null,
     title: '',
     author: '',
     targetAge: '',
@@ -60,36 +61,13 @@ const StoryCreator = () => {
   ]
 
   /**
-   * Sanitizes and validates user input to prevent XSS attacks
-   * @param {string} input - Raw user input
-   * @returns {string} - Sanitized input
-   */
-  const sanitizeInput = (input) => {
-    if (typeof input !== 'string') return ''
-    return input
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#x27;')
-      .replace(/\//g, '&#x2F;')
-      .trim()
-  }
-
-  /**
-   * Updates story data with sanitized input
+   * Updates story data
+   * Values are stored raw; escaping happens where they are rendered (see utils/sanitize)
    * @param {Object} updates - Data updates to apply
    */
-  const updateStoryData = (updates) => {
-    const sanitizedUpdates = {}
-    Object.keys(updates).forEach(key => {
-      if (typeof updates[key] === 'string') {
-        sanitizedUpdates[key] = sanitizeInput(updates[key])
-      } else {
-        sanitizedUpdates[key] = updates[key]
-      }
-    })
-    setStoryData(prev => ({ ...prev, ...sanitizedUpdates }))
-  }
+  const updateStoryData = useCallback((updates) => {
+    setStoryData(prev => ({ ...prev, ...updates }))
+  }, [])
 
   /**
    * Advances to the next step if current step is valid
@@ -119,7 +97,7 @@ const StoryCreator = () => {
   const validateCurrentStep = async () => {
     switch (currentStep) {
       case 0: // Upload step
-        if (!storyData.bookContent.trim()) {
+        if (!storyData.bookFile && !storyData.bookContent.trim()) {
           toast.error('Please upload or enter book content')
           return false
         }
@@ -151,7 +129,7 @@ const StoryCreator = () => {
   const isStepCompleted = (stepIndex) => {
     switch (stepIndex) {
       case 0:
-        return storyData.bookContent.trim() && storyData.title.trim()
+        return (storyData.bookFile || storyData.bookContent.trim()) && storyData.title.trim()
       case 1:
         return storyData.analysis !== null
       case 2:
@@ -0,0 +1,42 @@
+/**
+ * Content-safety helpers
+ * User text (book content, titles, author names) is kept raw in state and sent to the
+ * backend unchanged. It is only escaped at the point where it is written into markup that
+ * React does not escape for us, e.g. the generated story player files.
+ */
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#x27;'
+}
+
+/**
+ * Escapes text for use inside HTML element content or attribute values
+ * @param {string} value - Raw text
+ * @returns {string} - HTML-safe text
+ */
+export const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ENTITIES[char])
+
+/**
+ * Makes text safe to place inside a single-line JS or CSS comment
+ * @param {string} value - Raw text
+ * @returns {string} - Text without line breaks or comment terminators
+ */
+export const escapeComment = (value) =>
+  String(value ?? '').replace(/[\r\n\u2028\u2029]+/g, ' ').replace(/\*\//g, '* /')
+
+/**
+ * Cleans a short metadata field (title, author) as it is typed
+ * Drops control characters and caps the length; does not escape or trim
+ * @param {string} value - Raw input
+ * @param {number} maxLength - Maximum number of characters
+ * @returns {string} - Cleaned input
+ */
+export const cleanMetadataInput = (value, maxLength) => {
+  if (typeof value !== 'string') return ''
+  return value.replace(/\p{Cc}/gu, '').slice(0, maxLength)
+}